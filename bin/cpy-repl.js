@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+// Command line interface for running code and managing files on a CircuitPython device over serial
+import { realpathSync } from "node:fs";
+import { readFile, writeFile, stat } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { REPL, FileOps, ReplError, SERIAL_BAUD_RATE } from "../repl.js";
+import { NodeSerialTransport } from "../node-serial.js";
+
+const USAGE = `Usage: cpy-repl [--port <path>] [--baud <rate>] <command> [arguments]
+
+Commands:
+  exec <code>              Run Python code and print its output as it arrives (use -f <file> to run a local file)
+  ls [path] [-r]           List a directory on the device (recursively with -r)
+  get <remote> [local]     Download a file (to stdout if local is omitted)
+  put <local> [remote]     Upload a file
+  rm <path> [-r]           Delete a file or an empty directory (or a whole tree with -r)
+  mkdir <path> [-p]        Create a directory (and any missing parents with -p)
+
+The port can also be set with the CPY_REPL_PORT environment variable.`;
+
+const OPTIONS = {
+    port: {type: "string"},
+    baud: {type: "string", short: "b", default: String(SERIAL_BAUD_RATE)},
+    file: {type: "string", short: "f"},
+    recursive: {type: "boolean", short: "r", default: false},
+    parents: {type: "boolean", short: "p", default: false},
+    help: {type: "boolean", short: "h", default: false},
+};
+
+function basename(path) {
+    return path.replace(/\/+$/, "").split(/[\\/]/).pop();
+}
+
+async function listCommand(fileOps, [path="/"], options, output) {
+    for (let entry of await fileOps.listDir(path, options.recursive)) {
+        let date = new Date(entry.fileDate).toISOString().slice(0, 19).replace("T", " ");
+        let size = entry.isDir ? "-" : String(entry.fileSize);
+        output.stdout.write(`${entry.isDir ? "d" : "-"} ${size.padStart(10)} ${date} ${entry.path}${entry.isDir ? "/" : ""}\n`);
+    }
+}
+
+async function execCommand(repl, [code], options, output) {
+    if (options.file) {
+        code = await readFile(options.file, "utf8");
+    }
+    if (code == null) {
+        throw new Error("exec requires code or -f <file>");
+    }
+    // Print output as it arrives and let Ctrl-C interrupt the code instead of exiting
+    let controller = new AbortController();
+    let interrupt = () => controller.abort();
+    process.once("SIGINT", interrupt);
+    try {
+        let result = await repl.execute(code, 0, {
+            onStdout: (data) => output.stdout.write(data),
+            onStderr: (data) => output.stderr.write(data),
+            signal: controller.signal,
+        });
+        return result.error ? 1 : 0;
+    } catch (error) {
+        if (error.name == "AbortError") {
+            return 130;
+        }
+        throw error;
+    } finally {
+        process.off("SIGINT", interrupt);
+    }
+}
+
+async function getCommand(fileOps, [remotePath, localPath], output) {
+    if (!remotePath) {
+        throw new Error("get requires a remote path");
+    }
+    let contents = await fileOps.readFile(remotePath, true);
+    let data = new Uint8Array(await contents.arrayBuffer());
+    if (localPath) {
+        await writeFile(localPath, data);
+    } else {
+        output.stdout.write(data);
+    }
+}
+
+async function putCommand(fileOps, [localPath, remotePath], output) {
+    if (!localPath) {
+        throw new Error("put requires a local path");
+    }
+    remotePath = remotePath || "/" + basename(localPath);
+    if (remotePath.endsWith("/")) {
+        remotePath += basename(localPath);
+    }
+    let [contents, info] = await Promise.all([readFile(localPath), stat(localPath)]);
+    await fileOps.writeFile(remotePath, contents, 0, info.mtimeMs, true, {
+        onProgress: (bytesSent, totalBytes) => output.stderr.write(`\r${remotePath}: ${bytesSent}/${totalBytes} bytes`),
+    });
+    output.stderr.write("\n");
+}
+
+async function run(command, args, options, transport, output) {
+    if (!transport) {
+        options.port = options.port || process.env.CPY_REPL_PORT;
+        if (!options.port) {
+            throw new Error("No serial port given. Use --port or set CPY_REPL_PORT");
+        }
+        transport = new NodeSerialTransport(options.port, {baudRate: parseInt(options.baud)});
+    }
+
+    let repl = new REPL();
+    await transport.connect(repl);
+    try {
+        let fileOps = new FileOps(repl);
+        switch (command) {
+            case "exec":
+                return await execCommand(repl, args, options, output);
+            case "ls":
+                await listCommand(fileOps, args, options, output);
+                break;
+            case "get":
+                await getCommand(fileOps, args, output);
+                break;
+            case "put":
+                await putCommand(fileOps, args, output);
+                break;
+            case "rm":
+                if (!args[0]) {
+                    throw new Error("rm requires a path");
+                }
+                await (options.recursive ? fileOps.deleteTree(args[0]) : fileOps.delete(args[0]));
+                break;
+            case "mkdir":
+                if (!args[0]) {
+                    throw new Error("mkdir requires a path");
+                }
+                await (options.parents ? fileOps.makeDirs(args[0]) : fileOps.makeDir(args[0]));
+                break;
+        }
+        return 0;
+    } finally {
+        await transport.disconnect();
+    }
+}
+
+// Run the command in argv and return the exit code. A connected transport and the streams to write to can be passed,
+// such as a MockDevice for testing, in place of opening the serial port
+export async function main(argv, {transport=null, stdout=process.stdout, stderr=process.stderr}={}) {
+    let output = {stdout, stderr};
+    let parsed;
+    try {
+        parsed = parseArgs({args: argv, options: OPTIONS, allowPositionals: true});
+    } catch (error) {
+        stderr.write(error.message + "\n\n" + USAGE + "\n");
+        return 2;
+    }
+
+    let [command, ...args] = parsed.positionals;
+    if (parsed.values.help || !["exec", "ls", "get", "put", "rm", "mkdir"].includes(command)) {
+        stderr.write(USAGE + "\n");
+        return parsed.values.help ? 0 : 2;
+    }
+
+    try {
+        return await run(command, args, parsed.values, transport, output);
+    } catch (error) {
+        stderr.write((error instanceof ReplError ? `${error.name}: ${error.message}` : `Error: ${error.message}`) + "\n");
+        return 1;
+    }
+}
+
+// Only run when started as a command, so the tests can import main
+if (process.argv[1] && realpathSync(process.argv[1]) == fileURLToPath(import.meta.url)) {
+    process.exit(await main(process.argv.slice(2)));
+}
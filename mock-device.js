@@ -0,0 +1,1131 @@
+import { Transport } from "./repl.js";
+
+const CHAR_CTRL_A = "\x01";
+const CHAR_CTRL_B = "\x02";
+const CHAR_CTRL_C = "\x03";
+const CHAR_CTRL_D = "\x04";
+const CHAR_CTRL_E = "\x05";
+const CHAR_TITLE_START = "\x1b]0;";
+const CHAR_TITLE_END = "\x1b\\";
+
+const STATE_PRE_PROMPT = "pre-prompt";
+const STATE_NORMAL = "normal";
+const STATE_RAW = "raw";
+const STATE_RAW_PASTE = "raw-paste";
+
+const BOOT_PROMPT = "prompt";
+const BOOT_PRE_PROMPT = "pre-prompt";
+const BOOT_SILENT = "silent";
+
+const TYPE_DIR = 16384;
+const TYPE_FILE = 32768;
+// Permission bits are included in the mode like on a real filesystem, so only the masked type matches TYPE_DIR
+const MODE_DIR = TYPE_DIR | 0o755;
+const MODE_FILE = TYPE_FILE | 0o644;
+
+// These must match the code that FileOps and REPL.eval() generate in repl.js
+const EVAL_PREFIX_JSON = "json:";
+const EVAL_PREFIX_REPR = "repr:";
+const PY_STRING = String.raw`"(?:[^"\\]|\\.)*"`;
+const REGEX_EVAL = /^([\s\S]*)\n__repl_value = \(([\s\S]*?)\n\)\n/;
+
+const ERRNO_NAMES = {
+    1: "EPERM",
+    2: "ENOENT",
+    13: "EACCES",
+    17: "EEXIST",
+    20: "ENOTDIR",
+    21: "EISDIR",
+    22: "EINVAL",
+    28: "ENOSPC",
+    30: "EROFS",
+    39: "ENOTEMPTY",
+};
+
+// An exception raised by code running on the mock device. It is written to the error output as a traceback
+class MockPythonError extends Error {
+    constructor(type, message="", errno=null) {
+        super(errno != null ? `[Errno ${errno}] ${ERRNO_NAMES[errno]}` : message);
+        this.type = type;
+        this.errno = errno;
+    }
+
+    get traceback() {
+        let message = this.message ? this.type + ": " + this.message : this.type;
+        return `Traceback (most recent call last):\r\n  File "<stdin>", line 1, in <module>\r\n${message}\r\n`;
+    }
+}
+
+function osError(errno) {
+    return new MockPythonError("OSError", "", errno);
+}
+
+// Decode a Python string literal written by FileOps._pyString
+function parsePyString(literal) {
+    return literal.slice(1, -1).replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|.)/g, (match, escape) => {
+        switch (escape[0]) {
+            case "n":
+                return "\n";
+            case "r":
+                return "\r";
+            case "t":
+                return "\t";
+            case "x":
+            case "u":
+                return String.fromCharCode(parseInt(escape.slice(1), 16));
+            default:
+                return escape;
+        }
+    });
+}
+
+const REGEX_PY_TOKEN = /\s*(?:(\d+\.\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?|\d+(?:[eE][+-]?\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([A-Za-z_]\w*)|(\*\*|\/\/|[-+*/%()[\]{},:]))/y;
+
+// Evaluate a Python expression made of literals and arithmetic, like 1 + 2 or [1, "a" * 3]
+// Names other than True, False and None raise a NameError, since the device doesn't keep any variables
+function evalPyExpression(source) {
+    let tokens = [];
+    REGEX_PY_TOKEN.lastIndex = 0;
+    while (REGEX_PY_TOKEN.lastIndex < source.trimEnd().length) {
+        let match = REGEX_PY_TOKEN.exec(source);
+        if (!match) {
+            throw new MockPythonError("SyntaxError", "invalid syntax");
+        }
+        let [, number, string, name, operator] = match;
+        if (number != null) {
+            tokens.push({value: Number(number)});
+        } else if (string != null) {
+            tokens.push({value: parsePyString(string.replace(/^'|'$/g, '"'))});
+        } else if (name != null) {
+            tokens.push({name});
+        } else {
+            tokens.push({operator});
+        }
+    }
+
+    let position = 0;
+    let peek = (operator) => position < tokens.length && tokens[position].operator == operator;
+    let expect = (operator) => {
+        if (!peek(operator)) {
+            throw new MockPythonError("SyntaxError", "invalid syntax");
+        }
+        position++;
+    };
+    // Parse comma separated expressions until the closing bracket
+    let sequence = (closing, parseItem) => {
+        let items = [];
+        while (!peek(closing)) {
+            items.push(parseItem());
+            if (!peek(closing)) {
+                expect(",");
+            }
+        }
+        expect(closing);
+        return items;
+    };
+    let atom = () => {
+        let token = tokens[position++];
+        if (!token) {
+            throw new MockPythonError("SyntaxError", "invalid syntax");
+        } else if ("value" in token) {
+            // Adjacent strings are joined
+            while (typeof token.value == "string" && position < tokens.length && typeof tokens[position].value == "string") {
+                token = {value: token.value + tokens[position++].value};
+            }
+            return token.value;
+        } else if (token.name) {
+            let constants = {True: true, False: false, None: null};
+            if (!(token.name in constants)) {
+                throw new MockPythonError("NameError", `name '${token.name}' isn't defined`);
+            }
+            return constants[token.name];
+        } else if (token.operator == "(") {
+            let items = sequence(")", expression);
+            return items.length == 1 && tokens[position - 2].operator != "," ? items[0] : items;
+        } else if (token.operator == "[") {
+            return sequence("]", expression);
+        } else if (token.operator == "{") {
+            return Object.fromEntries(sequence("}", () => {
+                let key = expression();
+                expect(":");
+                return [key, expression()];
+            }));
+        }
+        throw new MockPythonError("SyntaxError", "invalid syntax");
+    };
+    let unary = () => {
+        if (peek("-") || peek("+")) {
+            let sign = tokens[position++].operator == "-" ? -1 : 1;
+            return sign * unary();
+        }
+        let base = atom();
+        if (peek("**")) {
+            position++;
+            return base ** unary();
+        }
+        return base;
+    };
+    let term = () => {
+        let value = unary();
+        while (peek("*") || peek("/") || peek("//") || peek("%")) {
+            let operator = tokens[position++].operator;
+            let operand = unary();
+            if (operator == "*") {
+                value = typeof value == "string" ? value.repeat(operand) : typeof operand == "string" ? operand.repeat(value) : value * operand;
+                continue;
+            }
+            if (operand == 0) {
+                throw new MockPythonError("ZeroDivisionError", "division by zero");
+            }
+            if (operator == "/") {
+                value = value / operand;
+            } else if (operator == "//") {
+                value = Math.floor(value / operand);
+            } else {
+                // Python's modulo takes the sign of the divisor
+                value = ((value % operand) + operand) % operand;
+            }
+        }
+        return value;
+    };
+    let expression = () => {
+        let value = term();
+        while (peek("+") || peek("-")) {
+            let operator = tokens[position++].operator;
+            let operand = term();
+            if (operator == "-") {
+                value = value - operand;
+            } else if (Array.isArray(value) && Array.isArray(operand)) {
+                value = value.concat(operand);
+            } else if ((typeof value == "string") != (typeof operand == "string")) {
+                throw new MockPythonError("TypeError", "unsupported types for __add__");
+            } else {
+                value = value + operand;
+            }
+        }
+        return value;
+    };
+
+    let value = expression();
+    if (position < tokens.length) {
+        throw new MockPythonError("SyntaxError", "invalid syntax");
+    }
+    return value;
+}
+
+function pyRepr(value) {
+    if (typeof value == "string") {
+        return "'" + value.replace(/\\/g, "\\\\").replace(/'/g, "\\'").replace(/\n/g, "\\n").replace(/\r/g, "\\r") + "'";
+    } else if (value === true) {
+        return "True";
+    } else if (value === false) {
+        return "False";
+    } else if (value == null) {
+        return "None";
+    } else if (Array.isArray(value)) {
+        return "[" + value.map(pyRepr).join(", ") + "]";
+    } else if (typeof value == "object") {
+        return "{" + Object.entries(value).map(([key, item]) => pyRepr(key) + ": " + pyRepr(item)).join(", ") + "}";
+    }
+    return String(value);
+}
+
+// Split a comma separated argument list, ignoring commas inside of strings and brackets
+function splitArguments(source) {
+    let args = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < source.length; i++) {
+        let char = source[i];
+        if (quote) {
+            if (char == "\\") {
+                i++;
+            } else if (char == quote) {
+                quote = null;
+            }
+        } else if (char == '"' || char == "'") {
+            quote = char;
+        } else if ("([{".includes(char)) {
+            depth++;
+        } else if (")]}".includes(char)) {
+            depth--;
+        } else if (char == "," && depth == 0) {
+            args.push(source.slice(start, i));
+            start = i + 1;
+        }
+    }
+    if (source.slice(start).trim()) {
+        args.push(source.slice(start));
+    }
+    return args;
+}
+
+function crc32(data, crc=0) {
+    crc = ~crc;
+    for (let byte of data) {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 1 ? (crc >>> 1) ^ 0xEDB88320 : crc >>> 1;
+        }
+    }
+    return (~crc) >>> 0;
+}
+
+function base64Encode(data) {
+    let byteString = "";
+    for (let byte of data) {
+        byteString += String.fromCharCode(byte);
+    }
+    return btoa(byteString);
+}
+
+function base64Decode(string) {
+    return Uint8Array.from(atob(string), char => char.charCodeAt(0));
+}
+
+// An in-memory filesystem that raises the same OSErrors as the filesystem on a device
+// Files are stored as Uint8Arrays and modification times in seconds
+export class MockFilesystem {
+    constructor(files={}, {readOnly=false, blockSize=512, totalBlocks=2048}={}) {
+        this.readOnly = readOnly;
+        this.blockSize = blockSize;
+        this.totalBlocks = totalBlocks;
+        this._entries = new Map([["/", {isDir: true, mtime: this._now()}]]);
+        for (let [path, contents] of Object.entries(files)) {
+            this.writeFile(path, contents);
+        }
+    }
+
+    _now() {
+        return Math.floor(Date.now() / 1000);
+    }
+
+    _normalize(path) {
+        let parts = [];
+        for (let part of path.split("/")) {
+            if (part == "..") {
+                parts.pop();
+            } else if (part && part != ".") {
+                parts.push(part);
+            }
+        }
+        return "/" + parts.join("/");
+    }
+
+    _parent(path) {
+        return path.slice(0, path.lastIndexOf("/")) || "/";
+    }
+
+    _get(path) {
+        let entry = this._entries.get(this._normalize(path));
+        if (!entry) {
+            throw osError(2);
+        }
+        return entry;
+    }
+
+    _checkWritable() {
+        if (this.readOnly) {
+            throw osError(30);
+        }
+    }
+
+    _children(path) {
+        let prefix = path == "/" ? "/" : path + "/";
+        return [...this._entries.keys()].filter(key => key != path && key.startsWith(prefix) && !key.slice(prefix.length).includes("/"));
+    }
+
+    _usedBlocks() {
+        let blocks = 0;
+        for (let entry of this._entries.values()) {
+            if (!entry.isDir) {
+                blocks += Math.ceil(entry.data.length / this.blockSize);
+            }
+        }
+        return blocks;
+    }
+
+    //// Functions that behave like the os module ////
+
+    stat(path) {
+        let entry = this._get(path);
+        let mode = entry.isDir ? MODE_DIR : MODE_FILE;
+        let size = entry.isDir ? 0 : entry.data.length;
+        return [mode, 0, 0, 0, 0, 0, size, entry.mtime, entry.mtime, entry.mtime];
+    }
+
+    listdir(path) {
+        if (!this._get(path).isDir) {
+            throw osError(20);
+        }
+        return this._children(this._normalize(path)).map(child => child.slice(child.lastIndexOf("/") + 1));
+    }
+
+    mkdir(path) {
+        this._checkWritable();
+        path = this._normalize(path);
+        if (this._entries.has(path)) {
+            throw osError(17);
+        }
+        if (!this._get(this._parent(path)).isDir) {
+            throw osError(20);
+        }
+        this._entries.set(path, {isDir: true, mtime: this._now()});
+    }
+
+    remove(path) {
+        this._checkWritable();
+        if (this._get(path).isDir) {
+            throw osError(21);
+        }
+        this._entries.delete(this._normalize(path));
+    }
+
+    rmdir(path) {
+        this._checkWritable();
+        path = this._normalize(path);
+        if (!this._get(path).isDir) {
+            throw osError(20);
+        }
+        if (path == "/") {
+            throw osError(1);
+        }
+        if (this._children(path).length) {
+            throw osError(39);
+        }
+        this._entries.delete(path);
+    }
+
+    rename(oldPath, newPath) {
+        this._checkWritable();
+        oldPath = this._normalize(oldPath);
+        newPath = this._normalize(newPath);
+        let entry = this._get(oldPath);
+        if (!this._get(this._parent(newPath)).isDir) {
+            throw osError(20);
+        }
+        if (this._entries.has(newPath) && (entry.isDir || this._entries.get(newPath).isDir)) {
+            throw osError(17);
+        }
+        for (let [path, item] of [...this._entries]) {
+            if (path == oldPath || path.startsWith(oldPath + "/")) {
+                this._entries.delete(path);
+                this._entries.set(newPath + path.slice(oldPath.length), item);
+            }
+        }
+    }
+
+    utime(path, mtime) {
+        this._checkWritable();
+        this._get(path).mtime = mtime;
+    }
+
+    statvfs(path) {
+        this._get(path);
+        let freeBlocks = Math.max(this.totalBlocks - this._usedBlocks(), 0);
+        return [this.blockSize, this.blockSize, this.totalBlocks, freeBlocks, freeBlocks, 0, 0, 0, 0, 255];
+    }
+
+    // Read up to size bytes beginning at offset
+    read(path, offset=0, size=Infinity) {
+        let entry = this._get(path);
+        if (entry.isDir) {
+            throw osError(21);
+        }
+        return entry.data.slice(offset, offset + size);
+    }
+
+    // Write data to a file beginning at offset. If truncate is true, the file is emptied or created first
+    write(path, offset, data, truncate=false) {
+        this._checkWritable();
+        path = this._normalize(path);
+        let entry = this._entries.get(path);
+        if (entry && entry.isDir) {
+            throw osError(21);
+        }
+        if (!entry) {
+            if (!truncate) {
+                throw osError(2);
+            }
+            if (!this._get(this._parent(path)).isDir) {
+                throw osError(20);
+            }
+        }
+
+        let existing = entry && !truncate ? entry.data : new Uint8Array(0);
+        let contents = new Uint8Array(Math.max(existing.length, offset + data.length));
+        contents.set(existing);
+        contents.set(data, offset);
+
+        let oldBlocks = entry ? Math.ceil(entry.data.length / this.blockSize) : 0;
+        let newBlocks = Math.ceil(contents.length / this.blockSize);
+        if (newBlocks - oldBlocks > this.totalBlocks - this._usedBlocks()) {
+            throw osError(28);
+        }
+        this._entries.set(path, {isDir: false, data: contents, mtime: this._now()});
+    }
+
+    //// Helpers for setting up and checking tests ////
+
+    // Create or replace a file along with any missing parent directories, even if the filesystem is read only
+    writeFile(path, contents) {
+        path = this._normalize(path);
+        let parent = "";
+        for (let part of path.split("/").slice(1, -1)) {
+            parent += "/" + part;
+            if (!this._entries.has(parent)) {
+                this._entries.set(parent, {isDir: true, mtime: this._now()});
+            }
+        }
+        let data = typeof contents == "string" ? new TextEncoder().encode(contents) : new Uint8Array(contents);
+        this._entries.set(path, {isDir: false, data, mtime: this._now()});
+    }
+
+    // Get the contents of a file as a Uint8Array, or null if it doesn't exist
+    readFile(path) {
+        let entry = this._entries.get(this._normalize(path));
+        return entry && !entry.isDir ? entry.data : null;
+    }
+
+    exists(path) {
+        return this._entries.has(this._normalize(path));
+    }
+
+    isDir(path) {
+        let entry = this._entries.get(this._normalize(path));
+        return !!entry && entry.isDir;
+    }
+}
+
+// A simulated CircuitPython device that speaks the REPL protocol, for exercising REPL and FileOps without hardware
+// It connects to a REPL like any other transport. The device prints the banner and >>> prompt, supports raw mode,
+// raw-paste mode, Ctrl-B/C/D, soft reboots with the "Press any key" pre-prompt and sets the terminal title.
+// Code sent to the device isn't interpreted as Python. Instead, the scripts that FileOps generates are recognized by the
+// statements that do their work and run against an in-memory MockFilesystem. Simple statements like print(), raise,
+// import and time.sleep() also run, and eval() accepts expressions made of literals and arithmetic. Anything else raises
+// a NotImplementedError on the device. Other code can be handled by adding a script with addScript().
+// Faults can be injected by splitting output into chunks of chunkSize bytes, delaying each chunk by delay ms,
+// calling reset(), injectOutput() or setting writeError to make writes fail
+export class MockDevice extends Transport {
+    constructor({
+        files={},
+        readOnly=false,
+        blockSize=512,
+        totalBlocks=2048,
+        version="9.0.0",
+        boardName="Mock Board",
+        boardId="mock_board",
+        ipAddress=null,
+        modules={},
+        memFree=100000,
+        rawPaste=true,
+        rawPasteWindow=128,
+        boot=BOOT_PROMPT,
+        chunkSize=0,
+        delay=0,
+    }={}) {
+        super();
+        this.filesystem = new MockFilesystem(files, {readOnly, blockSize, totalBlocks});
+        this.version = version;
+        this.boardName = boardName;
+        this.boardId = boardId;
+        this.ipAddress = ipAddress;
+        this.modules = {storage: true, binascii: true, hashlib: true, json: true, ...modules};
+        this.memFree = memFree;
+        this.rawPaste = rawPaste;
+        this.rawPasteWindow = rawPasteWindow;
+        this.chunkSize = chunkSize;
+        this.delay = delay;
+        this.writeError = null;
+        this.executedCode = [];     // Everything run on the device, in order
+        this._boot = boot;
+        this._state = STATE_NORMAL;
+        this._buffer = "";
+        this._line = "";
+        this._pasteBytes = 0;
+        this._running = null;
+        this._scripts = [];
+        this._output = Promise.resolve();
+        this._writeDecoder = new TextDecoder();
+    }
+
+    get state() {
+        return this._state;
+    }
+
+    async connect(repl) {
+        this._attach(repl);
+        this._writeDecoder = new TextDecoder();
+        if (this._boot == BOOT_PRE_PROMPT) {
+            this._send(this._bootOutput());
+        } else if (this._boot == BOOT_PROMPT) {
+            this._state = STATE_NORMAL;
+            this._send(this._title("REPL") + this._banner());
+        }
+    }
+
+    async write(data) {
+        if (!this.connected) {
+            throw new Error("Mock device is not connected");
+        }
+        if (this.writeError) {
+            throw this.writeError;
+        }
+        if (typeof data != "string") {
+            data = this._writeDecoder.decode(data, {stream: true});
+        }
+        for (let char of data) {
+            this._receiveChar(char);
+        }
+    }
+
+    async disconnect() {
+        this._reconnecting = false;
+        this._interrupt();
+        this._detach();
+    }
+
+    // Handle code sent to the device that matches pattern. The handler is called with the match and an object
+    // containing print() for writing output, the abort signal that is triggered by Ctrl-C and the device.
+    // It may return a promise and throw an Error with a type property to raise that exception on the device
+    addScript(pattern, handler) {
+        this._scripts.push({pattern, handler});
+    }
+
+    // Simulate the device being reset while the serial connection stays open
+    reset() {
+        // Code that was running stops without finishing its output
+        if (this._running) {
+            this._running.reset = true;
+        }
+        this._interrupt();
+        this._buffer = "";
+        this._line = "";
+        this._send(this._bootOutput());
+    }
+
+    // Send arbitrary data to the host as a string or Uint8Array, such as noise or output from code.py
+    injectOutput(data) {
+        this._send(data);
+    }
+
+    // Wait until all output has been delivered to the REPL
+    async flush() {
+        await this._output;
+    }
+
+    //// Output ////
+
+    _send(data) {
+        let bytes = typeof data == "string" ? this._encoder.encode(data) : data;
+        let chunkSize = this.chunkSize || bytes.length || 1;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            let chunk = bytes.slice(i, i + chunkSize);
+            this._output = this._output.then(async () => {
+                await new Promise(resolve => setTimeout(resolve, this.delay));
+                await this._receive(chunk);
+            });
+        }
+    }
+
+    _title(status) {
+        let network = this.ipAddress ? this.ipAddress : "off";
+        return `${CHAR_TITLE_START}🐍Wi-Fi: ${network} | ${status} | ${this.version}${CHAR_TITLE_END}`;
+    }
+
+    _banner() {
+        return `\r\nAdafruit CircuitPython ${this.version} on 2024-01-01; ${this.boardName} with mock\r\n>>> `;
+    }
+
+    _bootOutput() {
+        this._state = STATE_PRE_PROMPT;
+        return "\r\nAuto-reload is off.\r\n" + this._title("code.py") + "code.py output:\r\n" + this._title("Done") +
+            "\r\nCode done running.\r\n\r\nPress any key to enter the REPL. Use CTRL-D to reload.\r\n";
+    }
+
+    //// Input ////
+
+    _receiveChar(char) {
+        if (this._running) {
+            // Input is ignored while code runs, other than to interrupt it
+            if (char == CHAR_CTRL_C) {
+                this._interrupt();
+            }
+            return;
+        }
+
+        switch (this._state) {
+            case STATE_PRE_PROMPT:
+                this._state = STATE_NORMAL;
+                this._send("\r\n" + this._title("REPL") + this._banner());
+                break;
+            case STATE_NORMAL:
+                this._receiveNormal(char);
+                break;
+            case STATE_RAW:
+                this._receiveRaw(char);
+                break;
+            case STATE_RAW_PASTE:
+                this._receiveRawPaste(char);
+                break;
+        }
+    }
+
+    _receiveNormal(char) {
+        if (char == CHAR_CTRL_A) {
+            this._state = STATE_RAW;
+            this._buffer = "";
+            this._send("\r\nraw REPL; CTRL-B to exit\r\n>");
+        } else if (char == CHAR_CTRL_C) {
+            this._line = "";
+            this._send("\r\n>>> ");
+        } else if (char == CHAR_CTRL_D) {
+            this._line = "";
+            this._send("\r\nsoft reboot\r\n" + this._bootOutput());
+        } else if (char == "\r" || char == "\n") {
+            let line = this._line;
+            this._line = "";
+            this._send("\r\n");
+            this._run(line, (stderr) => this._send(stderr + ">>> "));
+        } else if (char == "\b" || char == "\x7f") {
+            if (this._line) {
+                this._line = this._line.slice(0, -1);
+                this._send("\b \b");
+            }
+        } else if (char >= " ") {
+            this._line += char;
+            this._send(char);
+        }
+    }
+
+    _receiveRaw(char) {
+        if (this._buffer == "" && char == CHAR_CTRL_E) {
+            this._buffer = char;
+        } else if (this._buffer == CHAR_CTRL_E && char == "A") {
+            this._buffer += char;
+        } else if (this._buffer == CHAR_CTRL_E + "A" && char == CHAR_CTRL_A) {
+            this._buffer = "";
+            if (this.rawPaste) {
+                this._state = STATE_RAW_PASTE;
+                this._pasteBytes = 0;
+                let window = this.rawPasteWindow;
+                this._send("R\x01");
+                this._send(new Uint8Array([window & 0xFF, window >> 8]));
+            } else {
+                this._send("R\x00");
+            }
+        } else if (char == CHAR_CTRL_A) {
+            this._buffer = "";
+            this._send("\r\nraw REPL; CTRL-B to exit\r\n>");
+        } else if (char == CHAR_CTRL_B) {
+            this._state = STATE_NORMAL;
+            this._buffer = "";
+            this._send(this._banner());
+        } else if (char == CHAR_CTRL_C) {
+            this._buffer = "";
+        } else if (char == CHAR_CTRL_D) {
+            let code = this._buffer;
+            this._buffer = "";
+            if (!code) {
+                this._send("OK\r\nsoft reboot\r\n\r\nraw REPL; CTRL-B to exit\r\n>");
+                return;
+            }
+            this._send("OK");
+            this._run(code, (stderr) => this._send(CHAR_CTRL_D + stderr + CHAR_CTRL_D + ">"));
+        } else {
+            this._buffer += char;
+        }
+    }
+
+    _receiveRawPaste(char) {
+        if (char == CHAR_CTRL_D) {
+            let code = this._buffer;
+            this._buffer = "";
+            this._state = STATE_RAW;
+            this._send(CHAR_CTRL_D);
+            this._run(code, (stderr) => this._send(CHAR_CTRL_D + stderr + CHAR_CTRL_D + ">"));
+            return;
+        }
+
+        this._buffer += char;
+        // Give the host another window once it has been used up
+        this._pasteBytes += this._encoder.encode(char).length;
+        if (this._pasteBytes >= this.rawPasteWindow) {
+            this._pasteBytes -= this.rawPasteWindow;
+            this._send(CHAR_CTRL_A);
+        }
+    }
+
+    //// Code Execution ////
+
+    _interrupt() {
+        if (this._running) {
+            this._running.abort(new MockPythonError("KeyboardInterrupt"));
+        }
+    }
+
+    async _run(code, onDone) {
+        this.executedCode.push(code);
+        let controller = new AbortController();
+        this._running = controller;
+        let stderr = "";
+        try {
+            let print = (...args) => this._send(args.join(" ") + "\r\n");
+            await Promise.race([
+                this._execute(code, {print, signal: controller.signal, device: this}),
+                new Promise((resolve, reject) => controller.signal.addEventListener("abort", () => reject(controller.signal.reason))),
+            ]);
+        } catch (error) {
+            stderr = error.traceback || new MockPythonError(error.type || "RuntimeError", error.message).traceback;
+        } finally {
+            this._running = null;
+        }
+        if (!controller.reset) {
+            onDone(stderr);
+        }
+    }
+
+    async _execute(code, context) {
+        for (let {pattern, handler} of this._scripts) {
+            let match = code.match(pattern);
+            if (match) {
+                return await handler(match, context);
+            }
+        }
+
+        let evaluation = code.match(REGEX_EVAL);
+        if (evaluation) {
+            let value = await this._evaluate(evaluation[1], evaluation[2].trim(), context);
+            if (this.modules.json) {
+                context.print(EVAL_PREFIX_JSON + JSON.stringify(value));
+            } else {
+                context.print(EVAL_PREFIX_REPR + pyRepr(value));
+            }
+            return;
+        }
+
+        for (let [pattern, method] of SCRIPTS) {
+            let match = code.match(pattern);
+            if (match) {
+                return await this[method](match, context, code);
+            }
+        }
+
+        await this._runStatements(code, context);
+    }
+
+    // Run simple statements one line at a time
+    async _runStatements(code, {print, signal}) {
+        for (let line of code.split(/\r?\n/)) {
+            line = line.trim();
+            let match;
+            if (!line || line.startsWith("#") || line == "pass") {
+                continue;
+            } else if ((match = line.match(/^(?:import|from) (\w+)/))) {
+                if (this.modules[match[1]] === false) {
+                    throw new MockPythonError("ImportError", `no module named '${match[1]}'`);
+                }
+            } else if ((match = line.match(/^print\((.*)\)$/))) {
+                print(...splitArguments(match[1]).map(arg => {
+                    let value = evalPyExpression(arg);
+                    return typeof value == "string" ? value : pyRepr(value);
+                }));
+            } else if ((match = line.match(/^time\.sleep\((.*)\)$/))) {
+                await new Promise((resolve, reject) => {
+                    let timer = setTimeout(resolve, evalPyExpression(match[1]) * 1000);
+                    signal.addEventListener("abort", () => {
+                        clearTimeout(timer);
+                        reject(signal.reason);
+                    });
+                });
+            } else if ((match = line.match(/^raise (\w+)(?:\((.*)\))?$/))) {
+                let args = match[2] ? splitArguments(match[2]).map(evalPyExpression) : [];
+                if (match[1] == "OSError" && typeof args[0] == "number") {
+                    throw osError(args[0]);
+                }
+                throw new MockPythonError(match[1], args.map(String).join(", "));
+            } else {
+                throw new MockPythonError("NotImplementedError", "MockDevice can't run: " + line);
+            }
+        }
+    }
+
+    async _evaluate(setup, expression, context) {
+        let fs = this.filesystem;
+        let match;
+        if (setup.includes("implementation = {")) {
+            let [blockSize, , totalBlocks, , freeBlocks] = fs.statvfs("/");
+            return {
+                uname: {
+                    sysname: this.boardId,
+                    nodename: this.boardId,
+                    release: this.version,
+                    version: `${this.version} on 2024-01-01`,
+                    machine: `${this.boardName} with mock`,
+                },
+                implementation: {name: "circuitpython", version: this.version},
+                boardId: this.boardId,
+                memFree: this.memFree,
+                fsTotal: totalBlocks * blockSize,
+                fsFree: freeBlocks * blockSize,
+                modules: Object.fromEntries(Object.entries(this.modules).map(([name, available]) => [name, !!available])),
+            };
+        } else if (setup.includes("storage.getmount(")) {
+            return this.modules.storage ? fs.readOnly : false;
+        } else if ((match = setup.match(new RegExp(String.raw`for item in os\.listdir\((${PY_STRING}) \+ subdir\)`)))) {
+            let path = parsePyString(match[1]);
+            let recursive = /if True and/.test(setup);
+            let isDir = this._scriptDirCheck(setup);
+            let entries = [];
+            let pending = [""];
+            while (pending.length) {
+                let subdir = pending.pop();
+                for (let item of fs.listdir(path + subdir)) {
+                    let name = subdir + item;
+                    let stat = fs.stat(path + name);
+                    entries.push([name, stat[0], stat[6], stat[8]]);
+                    if (recursive && isDir(stat[0])) {
+                        pending.push(name + "/");
+                    }
+                }
+            }
+            return entries;
+        } else if ((match = setup.match(new RegExp(String.raw`stat = os\.statvfs\((${PY_STRING})\)`)))) {
+            if (expression == "space") {
+                // The free space check skips devices whose statvfs fails
+                let stat;
+                try {
+                    stat = fs.statvfs(parsePyString(match[1]));
+                } catch (error) {
+                    if (error instanceof MockPythonError && error.type == "OSError") {
+                        return null;
+                    }
+                    throw error;
+                }
+                let sizeMatch = setup.match(new RegExp(String.raw`size = os\.stat\((${PY_STRING})\)\[6\]`));
+                let path = parsePyString(sizeMatch[1]);
+                return [stat[1], stat[4], fs.exists(path) ? fs.stat(path)[6] : 0];
+            }
+            let stat = fs.statvfs(parsePyString(match[1]));
+            return [stat[1], stat[2], stat[3], stat[4]];
+        }
+
+        // Scripts that gather their results in a variable return it
+        for (let [pattern, method] of SCRIPTS) {
+            let match = setup.match(pattern);
+            if (match) {
+                return await this[method](match, context, setup);
+            }
+        }
+
+        await this._runStatements(setup, context);
+        return evalPyExpression(expression);
+    }
+
+    //// FileOps Scripts ////
+
+    _setModificationTime(code, path) {
+        let match = code.match(/os\.utime\((?:"(?:[^"\\]|\\.)*"|current), \((\d+), \d+\)\)/);
+        if (match) {
+            this.filesystem.utime(path, parseInt(match[1]));
+        }
+    }
+
+    _probeModules(match, {print}) {
+        for (let module of evalPyExpression(match[1])) {
+            if (this.modules[module]) {
+                print(module);
+            }
+        }
+    }
+
+    _writeRawFile(match, context, code) {
+        let [, path, mode, offset, data, decoder] = match;
+        path = parsePyString(path);
+        if (decoder == "binascii") {
+            this._requireModule("binascii");
+        }
+        let bytes = decoder == "binascii" ? base64Decode(data) : Uint8Array.from(data.match(/../g) || [], hex => parseInt(hex, 16));
+        this.filesystem.write(path, parseInt(offset), bytes, mode == "wb");
+        this._setModificationTime(code, path);
+    }
+
+    _writeTextFile(match, context, code) {
+        let [, path, mode, offset, contents] = match;
+        path = parsePyString(path);
+        this.filesystem.write(path, parseInt(offset), this._encoder.encode(parsePyString(contents)), mode == "w");
+        this._setModificationTime(code, path);
+    }
+
+    _readRawBlock(match, {print}, code) {
+        let [, path, offset, size] = match;
+        let data = this.filesystem.read(parsePyString(path), parseInt(offset), parseInt(size));
+        if (code.includes("b2a_base64")) {
+            this._requireModule("binascii");
+            print(`b'${base64Encode(data)}'`);
+        } else {
+            print(Array.from(data, byte => byte.toString(16).padStart(2, "0")).join(""));
+        }
+    }
+
+    async _getChecksum(match, {print}) {
+        let [, path, offset, length] = match;
+        path = parsePyString(path);
+        offset = parseInt(offset);
+        length = /^\d+$/.test(length) ? parseInt(length) : undefined;
+        let data = this.filesystem.read(path, offset, length);
+        if (this.modules.binascii) {
+            print("crc32", crc32(data).toString(16).padStart(8, "0"));
+        } else if (this.modules.hashlib) {
+            let digest = new Uint8Array(await crypto.subtle.digest("SHA-256", data));
+            print("sha256", Array.from(digest, byte => byte.toString(16).padStart(2, "0")).join(""));
+        } else {
+            throw new MockPythonError("ImportError", "no module named 'hashlib'");
+        }
+    }
+
+    _getFileSize(match, {print}) {
+        print(this.filesystem.stat(parsePyString(match[1]))[6]);
+    }
+
+    _makeDirs(match, context, code) {
+        let path = parsePyString(match[1]);
+        let current = path.startsWith("/") ? "/" : "";
+        for (let part of path.split("/")) {
+            if (!part) {
+                continue;
+            }
+            current += part;
+            try {
+                this.filesystem.mkdir(current);
+                this._setModificationTime(code, current);
+            } catch (error) {
+                if (error.errno != 17) {
+                    throw error;
+                }
+            }
+            current += "/";
+        }
+    }
+
+    _makeDir(match, context, code) {
+        let path = parsePyString(match[1]);
+        this.filesystem.mkdir(path);
+        this._setModificationTime(code, path);
+    }
+
+    // Get a function that tests a mode for a directory the way the script does. Modes include permission bits, so a
+    // script that doesn't mask them out before comparing the type fails here as it would on a device
+    _scriptDirCheck(code) {
+        let match = code.match(/\[0\]\s*&\s*(\d+)\)\s*==\s*(\d+)/);
+        if (match) {
+            return (mode) => (mode & parseInt(match[1])) == parseInt(match[2]);
+        }
+        match = code.match(/\[0\]\s*==\s*(\d+)/);
+        if (match) {
+            return (mode) => mode == parseInt(match[1]);
+        }
+        throw new MockPythonError("NotImplementedError", "the mock device doesn't understand this script");
+    }
+
+    _delete(match, context, code) {
+        let path = parsePyString(match[1]);
+        if (this._scriptDirCheck(code)(this.filesystem.stat(path)[0])) {
+            this.filesystem.rmdir(path);
+        } else {
+            this.filesystem.remove(path);
+        }
+    }
+
+    // Returns the [path, errno] pairs that couldn't be deleted
+    _deleteTree(match, context, code) {
+        let fs = this.filesystem;
+        let isDir = this._scriptDirCheck(code);
+        let failed = [];
+        let deleteTree = (path) => {
+            try {
+                if (isDir(fs.stat(path)[0])) {
+                    let deleted = true;
+                    for (let item of fs.listdir(path)) {
+                        deleted = deleteTree(path.replace(/\/+$/, "") + "/" + item) && deleted;
+                    }
+                    if (deleted && path != "/") {
+                        fs.rmdir(path);
+                    }
+                    return deleted;
+                }
+                fs.remove(path);
+                return true;
+            } catch (error) {
+                if (error.errno == null) {
+                    throw error;
+                }
+                failed.push([path, error.errno]);
+                return false;
+            }
+        };
+        deleteTree(parsePyString(match[1]));
+        return failed;
+    }
+
+    // Returns the [path, errno] pairs that couldn't be copied
+    _copy(match, context, code) {
+        let fs = this.filesystem;
+        let isDir = this._scriptDirCheck(code);
+        let failed = [];
+        let copyTree = (src, dst) => {
+            try {
+                if (isDir(fs.stat(src)[0])) {
+                    try {
+                        fs.mkdir(dst);
+                    } catch (error) {
+                        if (error.errno != 17) {
+                            throw error;
+                        }
+                    }
+                    for (let item of fs.listdir(src)) {
+                        copyTree(src.replace(/\/+$/, "") + "/" + item, dst.replace(/\/+$/, "") + "/" + item);
+                    }
+                } else {
+                    fs.write(dst, 0, fs.read(src), true);
+                }
+            } catch (error) {
+                if (error.errno == null) {
+                    throw error;
+                }
+                failed.push([src, error.errno]);
+            }
+        };
+        copyTree(parsePyString(match[1]), parsePyString(match[2]));
+        return failed;
+    }
+
+    _move(match) {
+        this.filesystem.rename(parsePyString(match[1]), parsePyString(match[2]));
+    }
+
+    _requireModule(module) {
+        if (!this.modules[module]) {
+            throw new MockPythonError("ImportError", `no module named '${module}'`);
+        }
+    }
+}
+
+// The scripts FileOps generates and the methods that run them, checked in order
+// Each script is recognized by the statements that do its work rather than its exact text, so comments, blank lines,
+// indentation and statements in between don't matter. Code that FileOps sends for a new operation needs an entry here
+const SCRIPTS = [
+    [new RegExp(String.raw`for module in (\[[^\]]*\]):[\s\S]*?__import__\(module\)[\s\S]*?print\(module\)`), "_probeModules"],
+    [new RegExp(String.raw`open\((${PY_STRING}),\s*"(r\+b|wb)"\)[\s\S]*?\.seek\((\d+)\)[\s\S]*?\bdata\s*=\s*"([0-9A-Za-z+/=]*)"[\s\S]*?=\s*(binascii|bytes)\b`), "_writeRawFile"],
+    [new RegExp(String.raw`open\((${PY_STRING}),\s*"(r\+|w)"\)[\s\S]*?\.seek\((\d+)\)[\s\S]*?\.write\((${PY_STRING})\)`), "_writeTextFile"],
+    [new RegExp(String.raw`\bcrc32\b[\s\S]*?open\((${PY_STRING}),\s*"rb"\)[\s\S]*?\.seek\((\d+)\)[\s\S]*?\bremaining\s*=\s*(\d+|os\.stat)`), "_getChecksum"],
+    [new RegExp(String.raw`open\((${PY_STRING}),\s*"rb"\)[\s\S]*?\.seek\((\d+)\)[\s\S]*?\.read\((\d+)\)`), "_readRawBlock"],
+    [new RegExp(String.raw`print\(os\.stat\((${PY_STRING})\)\[6\]\)`), "_getFileSize"],
+    [new RegExp(String.raw`^path\s*=\s*(${PY_STRING})$[\s\S]*?\.split\("/"\)[\s\S]*?os\.mkdir\(current\)`, "m"), "_makeDirs"],
+    [new RegExp(String.raw`os\.mkdir\((${PY_STRING})\)`), "_makeDir"],
+    [new RegExp(String.raw`os\.stat\((${PY_STRING})\)[\s\S]*?os\.rmdir\([\s\S]*?os\.remove\(`), "_delete"],
+    [new RegExp(String.raw`^delete_tree\((${PY_STRING})\)$`, "m"), "_deleteTree"],
+    [new RegExp(String.raw`^copy_tree\((${PY_STRING}),\s*(${PY_STRING})\)$`, "m"), "_copy"],
+    [new RegExp(String.raw`os\.rename\((${PY_STRING}),\s*(${PY_STRING})\)`), "_move"],
+];
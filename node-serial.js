@@ -0,0 +1,75 @@
+import { Transport, TransportError, SERIAL_BAUD_RATE } from "./repl.js";
+
+// Transport for a serial device path in Node, such as /dev/ttyACM0 or COM3, using the serialport package
+// The package is only loaded once connecting, unless another class with the same interface is passed as serialPortClass
+export class NodeSerialTransport extends Transport {
+    constructor(path, {baudRate=SERIAL_BAUD_RATE, serialPortClass=null}={}) {
+        super();
+        this._path = path;
+        this._baudRate = baudRate;
+        this._serialPortClass = serialPortClass;
+        this._port = null;
+        this._closing = false;
+    }
+
+    async connect(repl) {
+        if (this.connected) {
+            throw new TransportError("Transport is already connected");
+        }
+
+        let SerialPort = this._serialPortClass;
+        if (!SerialPort) {
+            try {
+                ({SerialPort} = await import("serialport"));
+            } catch (error) {
+                throw new TransportError("The serialport package is needed to open " + this._path, {cause: error});
+            }
+        }
+
+        let port = new SerialPort({path: this._path, baudRate: this._baudRate, autoOpen: false});
+        await new Promise((resolve, reject) => {
+            port.open((error) => {
+                if (error) {
+                    reject(new TransportError("Unable to open " + this._path + ": " + error.message, {cause: error}));
+                } else {
+                    resolve();
+                }
+            });
+        });
+
+        this._port = port;
+        this._closing = false;
+        this._attach(repl);
+        port.on("data", (data) => this._receive(data).catch((error) => this._dispatchError(error)));
+        port.on("close", (error) => {
+            this._port = null;
+            this._detach(this._closing ? null : new TransportError(this._path + " closed unexpectedly", {cause: error}));
+        });
+    }
+
+    async write(data) {
+        if (!this._port) {
+            throw new TransportError(this._path + " is not open");
+        }
+        await new Promise((resolve, reject) => {
+            this._port.write(this._encoder.encode(data), (error) => {
+                if (error) {
+                    reject(new TransportError("Unable to write to " + this._path + ": " + error.message, {cause: error}));
+                } else {
+                    // Wait until the data has been handed to the operating system
+                    this._port.drain(() => resolve());
+                }
+            });
+        });
+    }
+
+    async disconnect() {
+        this._reconnecting = false;
+        if (!this._port) {
+            return;
+        }
+        this._closing = true;
+        let port = this._port;
+        await new Promise((resolve) => port.close(() => resolve()));
+    }
+}
@@ -2,6 +2,7 @@ const CHAR_CTRL_A = '\x01';
 const CHAR_CTRL_B = '\x02';
 const CHAR_CTRL_C = '\x03';
 const CHAR_CTRL_D = '\x04';
+const CHAR_CTRL_E = '\x05';
 const CHAR_TITLE_START = "\x1b]0;";
 const CHAR_TITLE_END = "\x1b\\";
 const CHAR_SNAKE = "🐍";
@@ -10,23 +11,113 @@ const MODE_NORMAL = 1;
 const MODE_RAW = 2;
 const MODE_PRE_PROMPT = 3;
 
+const TYPE_MASK = 61440;    // stat.S_IFMT
 const TYPE_DIR = 16384;
 const TYPE_FILE = 32768;
 const DEBUG = false;
 
+const ERRNO_ENOENT = 2;
+const ERRNO_EEXIST = 17;
+const ERRNO_ENOSPC = 28;
+const ERRNO_EROFS = 30;
+
 export const LINE_ENDING_CRLF = "\r\n";
 export const LINE_ENDING_LF = "\n";
 
+export const FILE_TYPE_FILE = "file";
+export const FILE_TYPE_DIR = "dir";
+export const FILE_TYPE_OTHER = "other";
+
+export const SYNC_PUSH = "push";
+export const SYNC_PULL = "pull";
+export const SYNC_COMPARE_MTIME = "mtime";
+export const SYNC_COMPARE_CHECKSUM = "checksum";
+
+// Priorities for queued REPL operations. Higher priority operations run first
+export const PRIORITY_NORMAL = 0;
+export const PRIORITY_HIGH = 10;
+
 // Default timeouts in milliseconds (can be overridden with properties)
 const PROMPT_TIMEOUT = 20000;
 const CODE_EXECUTION_TIMEOUT = 15000;
 const CODE_INTERRUPT_TIMEOUT = 5000;
 const PROMPT_CHECK_INTERVAL = 50;
 const PARTIAL_TOKEN_TIMEOUT = 250;
+const RAW_PASTE_TIMEOUT = 5000;
+const MODE_CHANGE_TIMEOUT = 3000;
+const MODE_DETECT_TIMEOUT = 1000;
+// Key sequences are sent again if the device hasn't responded after this long
+const MODE_CHANGE_RETRY_INTERVAL = 250;
+const INTERRUPT_RETRY_INTERVAL = 200;
+
+export const SERIAL_BAUD_RATE = 115200;
+const RECONNECT_TIMEOUT = 30000;
+const RECONNECT_INTERVAL = 1000;
+// Received bytes kept behind the read position (can be overridden with the scrollback property)
+const INPUT_BUFFER_SCROLLBACK = 16384;
+const BINARY_CONVERSION_CHUNK_SIZE = 8192;
+const WEB_WORKFLOW_SERIAL_PATH = "/cp/serial/";
+
+// BLE serial services with the characteristics written to (rx) and notified from (tx) by the device
+export const BLE_SERVICE_CIRCUITPYTHON_SERIAL = {
+    uuid: "adaf0001-4369-7263-7569-74507974686e",
+    rx: "adaf0002-4369-7263-7569-74507974686e",
+    tx: "adaf0003-4369-7263-7569-74507974686e",
+};
+export const BLE_SERVICE_NORDIC_UART = {
+    uuid: "6e400001-b5a3-f393-e0a9-e50e24dcca9e",
+    rx: "6e400002-b5a3-f393-e0a9-e50e24dcca9e",
+    tx: "6e400003-b5a3-f393-e0a9-e50e24dcca9e",
+};
+const BLE_DEFAULT_WRITE_SIZE = 20;  // Default ATT MTU of 23 bytes minus 3 bytes of overhead
+
+// Raw-paste mode negotiation (see MicroPython's pyboard.py)
+const RAW_PASTE_REQUEST = CHAR_CTRL_E + "A" + CHAR_CTRL_A;
+const RAW_PASTE_SUPPORTED = "R\x01";
+const RAW_PASTE_UNSUPPORTED = "R\x00";
+const RAW_PASTE_DEFAULT_WINDOW = 32;    // Used if the window size couldn't be decoded
+const RAW_MODE_CHUNK_SIZE = 256;        // Plain raw mode fallback writes this many bytes at a time
+const RAW_MODE_CHUNK_DELAY = 10;
+
+// Modules that getDeviceInfo() checks the availability of
+const PROBE_MODULES = ["storage", "binascii", "hashlib", "json"];
+
+// eval() prints its result on the last line of output with one of these prefixes
+const EVAL_PREFIX_JSON = "json:";
+const EVAL_PREFIX_REPR = "repr:";
+
+// Files are transferred in chunks of this many bytes to keep device memory usage bounded
+const FILE_CHUNK_SIZE = 2048;
+const VERIFY_RETRIES = 2;
+
+// FAT filesystems only store modification times with a 2 second resolution
+const SYNC_MTIME_TOLERANCE = 2000;
+
+const CHECKSUM_CRC32 = "crc32";
+const CHECKSUM_SHA256 = "sha256";
+
+// Lookup table for the CRC-32 polynomial used by binascii.crc32
+const CRC32_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
 
 const REGEX_PROMPT_RAW_MODE = /raw REPL; CTRL-B to exit/;
 const REGEX_PROMPT_NORMAL_MODE = />>> /;
 const REGEX_PRE_PROMPT = /Press any key to enter the REPL./;
+// Prompts are searched for again this far back in case one was split between two chunks of data
+const MODE_SCAN_OVERLAP = 40;
+// Messages the device prints on a line of their own when it restarts. The second pair is printed whenever the device
+// boots and runs code.py, including after a hard reset that didn't print the first
+const RESET_MESSAGES = ["soft reboot\r\n", "Auto-reload is on.", "Auto-reload is off."];
+// While code runs, a reset message only counts if a title or the pre-prompt follows within this many characters
+const BOOT_OUTPUT_SPAN = 256;
+const REGEX_TRACEBACK_START = /^Traceback \(most recent call last\):/;
+const REGEX_TRACEBACK_FRAME = /^\s*File "(.*)", line (\d+)(?:, in (.*))?$/;
+const REGEX_TRACEBACK_CHAINED = /^(During handling of the above exception|The above exception was the direct cause)/;
 
 const modes = [
     "Unknown",
@@ -35,13 +126,131 @@ const modes = [
     "Pre-Prompt",
 ];
 
+// Base class for all errors thrown by the REPL and FileOps
+export class ReplError extends Error {
+    constructor(message, options) {
+        super(message, options);
+        this.name = this.constructor.name;
+    }
+}
+
+// Thrown when the device doesn't respond in time
+export class ReplTimeoutError extends ReplError {}
+
+// Thrown when data couldn't be sent to or received from the device
+export class TransportError extends ReplError {}
+
+// Thrown when the device reset while an operation was in progress, such as when code.py was reloaded
+export class DeviceResetError extends ReplError {}
+
+// Thrown when code running on the device raised an exception. traceback holds the decoded error output
+export class PythonException extends ReplError {
+    constructor(traceback) {
+        super(traceback.type ? traceback.type + ": " + traceback.message : traceback.message);
+        this.type = traceback.type;
+        this.traceback = traceback;
+    }
+
+    // Create the most specific exception for a decoded traceback
+    static fromTraceback(traceback) {
+        if (traceback.errno == ERRNO_EROFS) {
+            return new ReadOnlyFilesystemError(traceback);
+        } else if (traceback.errno == ERRNO_ENOSPC) {
+            return new NoSpaceError(traceback);
+        } else if (traceback.errno != null) {
+            return new DeviceOSError(traceback);
+        }
+        return new PythonException(traceback);
+    }
+}
+
+// Thrown when the device raised an OSError. errno holds the error number
+export class DeviceOSError extends PythonException {
+    constructor(traceback) {
+        super(traceback);
+        this.errno = traceback.errno;
+    }
+}
+
+// Thrown when writing to a filesystem that is read only to the device
+export class ReadOnlyFilesystemError extends DeviceOSError {
+    constructor(traceback=null) {
+        super(traceback || {
+            type: "OSError",
+            message: "File System is Read Only. Try disabling or ejecting the drive.",
+            errno: ERRNO_EROFS,
+        });
+    }
+}
+
+// Thrown when there isn't enough space on the device's filesystem. If it was detected before writing,
+// required and available hold the number of bytes needed and free
+export class NoSpaceError extends DeviceOSError {
+    constructor(traceback=null, required=null, available=null) {
+        super(traceback || {
+            type: "OSError",
+            message: `Not enough space on the device. ${required} bytes are needed, but only ${available} are free.`,
+            errno: ERRNO_ENOSPC,
+        });
+        this.required = required;
+        this.available = available;
+    }
+}
+
+// Thrown when the checksum of a file on the device doesn't match the data that was sent or received
+export class ChecksumMismatchError extends ReplError {
+    constructor(path, algorithm, expected, actual) {
+        super(`Checksum mismatch for ${path}: expected ${algorithm} ${expected}, got ${actual}`);
+        this.path = path;
+        this.algorithm = algorithm;
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+// Thrown when deleteTree or copy couldn't handle some of the entries in a tree. The others are still handled
+// errors holds {path, errno} for each entry that failed
+export class TreeOperationError extends ReplError {
+    constructor(operation, errors) {
+        let entries = errors.map(({path, errno}) => `${path} (errno ${errno})`).join(", ");
+        super(`Unable to ${operation} ${entries}`);
+        this.errors = errors;
+    }
+}
+
 // Class to use python code to get file information
 // We want to do stuff like writing files, reading files, and listing files
 export class FileOps {
-    constructor(repl, checkReadOnly=true) {
+    // If retryOnReset is true, calls that only read from the device are run again once if the device resets or
+    // reconnects while they are in progress
+    constructor(repl, checkReadOnly=true, {retryOnReset=false}={}) {
         this._repl = repl;
         this._isReadOnly = null;
         this._doCheckReadOnly = checkReadOnly;
+        this._retryOnReset = retryOnReset;
+        this._modules = null;
+        // A different device may be connected next time, so probe it again
+        repl.addEventListener("disconnect", () => {
+            this._modules = null;
+        });
+    }
+
+    // Check whether a module is available on the device. The available modules are probed once and then cached
+    // Plain imports are used so the probe doesn't depend on json, unlike getDeviceInfo()
+    async _hasModule(module) {
+        if (this._modules == null) {
+            let code = `
+for module in ${JSON.stringify(PROBE_MODULES)}:
+    try:
+        __import__(module)
+        print(module)
+    except ImportError:
+        pass
+`;
+            let available = (await this._runCode(code, true)).split(/\r?\n/);
+            this._modules = Object.fromEntries(PROBE_MODULES.map(name => [name, available.includes(name)]));
+        }
+        return this._modules[module];
     }
 
     async _checkReadOnly() {
@@ -54,270 +263,854 @@ export class FileOps {
         }
 
         if (this._isReadOnly) {
-            throw new Error("File System is Read Only. Try disabling or ejecting the drive.");
+            throw new ReadOnlyFilesystemError();
         }
     }
 
-    async _checkReplErrors() {
-        let error = this._repl.getErrorOutput();
+    // Throw a decoded error from the device as a PythonException
+    _checkReplErrors(error) {
         if (error) {
-            console.error("Python Error - " + error.type + ": " + error.message);
-            this._repl.writeErrorToTerminal(error.raw);
-            if (error.type == "OSError" && error.errno == 30) {
+            if (error.errno == ERRNO_EROFS) {
                 this._isReadOnly = true;
-                // Throw an error if needed
-                await this._checkReadOnly();
             }
+            throw PythonException.fromTraceback(error);
         }
+    }
 
-        return error;
+    // Run an operation and, if it is safe to repeat and retryOnReset is set, run it once more if the device reset
+    // or disconnected while it was in progress. After a disconnect, the transport has until the prompt timeout to reconnect
+    async _retry(operation, idempotent=false) {
+        try {
+            return await operation();
+        } catch (error) {
+            if (!idempotent || !this._retryOnReset) {
+                throw error;
+            }
+            if (error instanceof TransportError && !this._repl.serialTransmit) {
+                if (!await this._repl._waitForConnection()) {
+                    throw error;
+                }
+            } else if (!(error instanceof DeviceResetError)) {
+                throw error;
+            }
+            if (DEBUG) {
+                console.log("Device reset or reconnected during an operation. Retrying.");
+            }
+            return await operation();
+        }
+    }
+
+    // Run code on the device and throw any error it raised. The error output is captured in the same queued
+    // operation as the code, so other operations can't replace it first
+    // Code that only reads from the device should be marked idempotent so it can be retried after a reset
+    async _runCode(code, idempotent=false) {
+        let result = await this._retry(() => this._repl._enqueue(() => this._repl._execute(code)), idempotent);
+        this._checkReplErrors(result.error);
+
+        return result.stdout;
+    }
+
+    // Run setup code followed by an expression on the device and return the expression's value
+    async _eval(expression, setup="", idempotent=false) {
+        let result = await this._retry(() => this._repl._enqueue(() => this._repl._eval(expression, setup)), idempotent);
+        this._checkReplErrors(result.error);
+
+        return result.value;
+    }
+
+    // Convert a value into a Python string literal so paths and text can't break out of the generated code
+    _pyString(value) {
+        let escaped = String(value).replace(/[\\"\x00-\x1f\x7f]/g, char => {
+            switch (char) {
+                case "\\":
+                    return "\\\\";
+                case "\"":
+                    return "\\\"";
+                case "\n":
+                    return "\\n";
+                case "\r":
+                    return "\\r";
+                case "\t":
+                    return "\\t";
+                default:
+                    return "\\x" + char.charCodeAt(0).toString(16).padStart(2, "0");
+            }
+        });
+        return `"${escaped}"`;
+    }
+
+    // Collapse repeated slashes and remove any trailing slash, other than for the root
+    _normalizePath(path) {
+        path = path.replace(/\/+/g, "/");
+        if (path.length > 1 && path.endsWith("/")) {
+            path = path.slice(0, -1);
+        }
+        return path;
+    }
+
+    // Convert the [path, errno] pairs that failed on the device into a TreeOperationError
+    _checkTreeErrors(operation, failed) {
+        if (failed.length) {
+            throw new TreeOperationError(operation, failed.map(([path, errno]) => ({path, errno})));
+        }
     }
 
     // Write a file to the device path with contents beginning at offset. Modification time can be set and if raw is true, contents is written as binary
-    async _writeRawFile(path, contents, offset=0, modificationTime=null) {
-        let byteString = "";
-        // Contents needs to be converted from a ArrayBuffer to a byte string
+    // If append is true, the existing file is written into rather than truncated
+    async _writeRawFile(path, contents, offset=0, modificationTime=null, append=false) {
         let view = new Uint8Array(contents);
-        for (let byte of view) {
-            byteString += String.fromCharCode(byte);
+        let decode;
+        if (await this._hasModule("binascii")) {
+            let byteString = "";
+            // Contents needs to be converted from a ArrayBuffer to a byte string
+            for (let byte of view) {
+                byteString += String.fromCharCode(byte);
+            }
+            contents = btoa(byteString);  // Convert binary string to base64
+            decode = "binascii.a2b_base64(data)";
+        } else {
+            // Hex takes twice the space of the bytes, but can be decoded without binascii
+            contents = Array.from(view, byte => byte.toString(16).padStart(2, "0")).join("");
+            decode = "bytes(int(data[i:i + 2], 16) for i in range(0, len(data), 2))";
         }
-        contents = btoa(byteString);  // Convert binary string to base64
 
         let code = `
 import os
-import binascii
-with open("${path}", "wb") as f:
+try:
+    import binascii
+except ImportError:
+    pass
+with open(${this._pyString(path)}, "${append ? "r+b" : "wb"}") as f:
     f.seek(${offset})
-    byte_string = binascii.a2b_base64("${contents}")
+    data = "${contents}"
+    byte_string = ${decode}
     f.write(byte_string)
 `;
 
         if (modificationTime) {
             modificationTime = Math.floor(modificationTime / 1000);
-            code += `os.utime("${path}", (${modificationTime}, ${modificationTime}))\n`;
+            code += `os.utime(${this._pyString(path)}, (${modificationTime}, ${modificationTime}))\n`;
         }
-        await this._repl.runCode(code);
+        await this._runCode(code);
     }
 
-    async _writeTextFile(path, contents, offset=0, modificationTime=null) {
-        // The contents needs to be converted from a UInt8Array to a string
-        contents = String.fromCharCode.apply(null, contents);
-        // Preserve slashes and slash chracters (must be first)
-        contents = contents.replace(/\\/g, '\\\\');
-        // Preserve quotes
-        contents = contents.replace(/"/g, '\\"');
+    async _writeTextFile(path, contents, offset=0, modificationTime=null, append=false) {
+        // The contents needs to be converted from a UTF-8 encoded UInt8Array to a string
+        contents = new TextDecoder().decode(contents);
 
         let code = `
 import os
-with open("${path}", "w") as f:
+with open(${this._pyString(path)}, "${append ? "r+" : "w"}") as f:
     f.seek(${offset})
-    f.write("""${contents}""")
+    f.write(${this._pyString(contents)})
 `;
 
         if (modificationTime) {
             modificationTime = Math.floor(modificationTime / 1000);
-            code += `os.utime("${path}", (${modificationTime}, ${modificationTime}))\n`;
+            code += `os.utime(${this._pyString(path)}, (${modificationTime}, ${modificationTime}))\n`;
         }
-        await this._repl.runCode(code);
+        await this._runCode(code);
+    }
+
+    async _writeChunks(path, data, offset, modificationTime, raw, chunkSize, onProgress, signal) {
+        let bytesSent = 0;
+
+        // Always write at least once so empty files are still created
+        do {
+            if (signal) {
+                signal.throwIfAborted();
+            }
+
+            let chunkEnd = bytesSent + chunkSize;
+            if (!raw) {
+                // Don't split multi-byte characters between chunks
+                while (chunkEnd > bytesSent + 1 && chunkEnd < data.length && (data[chunkEnd] & 0xC0) == 0x80) {
+                    chunkEnd--;
+                }
+            }
+            let chunk = data.subarray(bytesSent, chunkEnd);
+            let isLastChunk = bytesSent + chunk.length >= data.length;
+            // Only set the modification time once the last chunk is written
+            let chunkModificationTime = isLastChunk ? modificationTime : null;
+            if (raw) {
+                await this._writeRawFile(path, chunk, offset + bytesSent, chunkModificationTime, bytesSent > 0);
+            } else {
+                await this._writeTextFile(path, chunk, offset + bytesSent, chunkModificationTime, bytesSent > 0);
+            }
+
+            bytesSent += chunk.length;
+            if (onProgress) {
+                onProgress(bytesSent, data.length);
+            }
+        } while (bytesSent < data.length);
     }
 
     // Write a file to the device path with contents beginning at offset. Modification time can be set and if raw is true, contents is written as binary
-    async writeFile(path, contents, offset=0, modificationTime=null, raw=false) {
-        if (raw) {
-            await this._writeRawFile(path, contents, offset, modificationTime);
-        } else {
-            await this._writeTextFile(path, contents, offset, modificationTime);
+    // Contents are sent in chunks of chunkSize bytes. After each chunk, onProgress(bytesSent, totalBytes) is called.
+    // An AbortSignal may be passed as signal to cancel the upload between chunks
+    // If verify is true, the written data is checksummed on the device and rewritten up to retries times if it doesn't match,
+    // after which a ChecksumMismatchError is thrown. Returns {algorithm, checksum}, which are null if verify is false
+    // If checkSpace is true, a NoSpaceError is thrown before anything is sent if the file won't fit
+    async writeFile(path, contents, offset=0, modificationTime=null, raw=false, {chunkSize=FILE_CHUNK_SIZE, onProgress=null, signal=null, verify=false, retries=VERIFY_RETRIES, checkSpace=false}={}) {
+        let data = new Uint8Array(contents);
+        if (checkSpace) {
+            await this._checkFreeSpace(path, offset + data.length);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            await this._writeChunks(path, data, offset, modificationTime, raw, chunkSize, onProgress, signal);
+            if (!verify) {
+                return {algorithm: null, checksum: null};
+            }
+
+            let remote = await this.getChecksum(path, offset, data.length);
+            let local = await this.computeChecksum(data, remote.algorithm);
+            if (local == remote.checksum) {
+                return remote;
+            }
+            if (attempt >= retries) {
+                throw new ChecksumMismatchError(path, remote.algorithm, local, remote.checksum);
+            }
+            if (DEBUG) {
+                console.log("Checksum mismatch writing " + path + ". Retrying.");
+            }
         }
     }
 
-    async _readRawFile(path) {
-        try {
-            let code = `
-import binascii
-with open("${path}", "rb") as f:
-    byte_string = f.read()
-    print(binascii.b2a_base64(byte_string, False))
+    // Get the size of the filesystem that holds path as {total, used, free, blockSize} in bytes
+    async getFsInfo(path="/") {
+        let setup = `
+import os
+stat = os.statvfs(${this._pyString(path)})
 `;
+        let [blockSize, blocks, freeBlocks, availableBlocks] = await this._eval("[stat[1], stat[2], stat[3], stat[4]]", setup, true);
+        return {
+            total: blocks * blockSize,
+            used: (blocks - freeBlocks) * blockSize,
+            free: availableBlocks * blockSize,
+            blockSize,
+        };
+    }
+
+    // Throw a NoSpaceError if replacing the file at path with one of size bytes would need more space than is free
+    async _checkFreeSpace(path, size) {
+        let index = path.lastIndexOf("/");
+        let directory = index > 0 ? path.slice(0, index) : index == 0 ? "/" : ".";
+        let setup = `
+import os
+try:
+    stat = os.statvfs(${this._pyString(directory)})
+    space = [stat[1], stat[4]]
+except (AttributeError, OSError):
+    space = None
+try:
+    size = os.stat(${this._pyString(path)})[6]
+except OSError:
+    size = 0
+if space:
+    space.append(size)
+`;
+        let space = await this._eval("space", setup, true);
+        if (!space) {
+            // The device can't report its free space
+            return;
+        }
+        // Space is allocated in whole blocks and the existing file's blocks are freed when it is replaced
+        let [blockSize, availableBlocks, existingSize] = space;
+        let required = (Math.ceil(size / blockSize) - Math.ceil(existingSize / blockSize)) * blockSize;
+        let available = availableBlocks * blockSize;
+        if (required > available) {
+            throw new NoSpaceError(null, required, available);
+        }
+    }
 
-            let result = await this._repl.runCode(code);
-            if (await this._checkReplErrors()) {
-                return null;
+    // Calculate a checksum of length bytes of a file beginning at offset on the device. If length is null, the rest of the file is used
+    // binascii.crc32 is used when the device has it, otherwise hashlib.sha256. Returns {algorithm, checksum} with the checksum as a hex string
+    async getChecksum(path, offset=0, length=null) {
+        if (!await this._hasModule("binascii") && !await this._hasModule("hashlib")) {
+            throw new ReplError("The device has neither binascii nor hashlib to calculate a checksum with");
+        }
+        let code = `
+import os
+try:
+    from binascii import crc32
+except ImportError:
+    crc32 = None
+    import hashlib
+with open(${this._pyString(path)}, "rb") as f:
+    f.seek(${offset})
+    remaining = ${length == null ? `os.stat(${this._pyString(path)})[6] - ${offset}` : length}
+    value = 0 if crc32 else hashlib.sha256()
+    while remaining > 0:
+        block = f.read(min(remaining, ${FILE_CHUNK_SIZE}))
+        if not block:
+            break
+        remaining -= len(block)
+        if crc32:
+            value = crc32(block, value)
+        else:
+            value.update(block)
+    if crc32:
+        print("${CHECKSUM_CRC32}", "%08x" % (value & 0xffffffff))
+    else:
+        print("${CHECKSUM_SHA256}", "".join("%02x" % b for b in value.digest()))
+`;
+        let result = await this._runCode(code, true);
+
+        let [algorithm, checksum] = result.trim().split(" ");
+        return {algorithm, checksum};
+    }
+
+    // Calculate a checksum of data locally, matching the format returned by getChecksum
+    async computeChecksum(data, algorithm=CHECKSUM_CRC32) {
+        data = new Uint8Array(data);
+        if (algorithm == CHECKSUM_SHA256) {
+            let digest = new Uint8Array(await crypto.subtle.digest("SHA-256", data));
+            return Array.from(digest, byte => byte.toString(16).padStart(2, "0")).join("");
+        } else if (algorithm == CHECKSUM_CRC32) {
+            let crc = 0xFFFFFFFF;
+            for (let byte of data) {
+                crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
             }
+            return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, "0");
+        }
+
+        throw new TypeError("Unsupported checksum algorithm: " + algorithm);
+    }
+
+    async _getFileSize(path) {
+        let code = `
+import os
+print(os.stat(${this._pyString(path)})[6])
+`;
+        let result = await this._runCode(code, true);
+
+        return parseInt(result);
+    }
+
+    // Read up to size bytes of a file beginning at offset and return them as a Uint8Array
+    // A ReplError is thrown if the output can't be decoded or holds fewer bytes than requested before the end of the file
+    async _readRawBlock(path, offset, size) {
+        let hasBinascii = await this._hasModule("binascii");
+        let code = `
+with open(${this._pyString(path)}, "rb") as f:
+    f.seek(${offset})
+    byte_string = f.read(${size})
+`;
+        if (hasBinascii) {
+            code += `import binascii\nprint(binascii.b2a_base64(byte_string, False))\n`;
+        } else {
+            code += `print("".join("%02x" % b for b in byte_string))\n`;
+        }
 
+        let result = await this._runCode(code, true);
+        let view;
+        if (!hasBinascii) {
+            let hex = result.trim();
+            if (!/^([0-9a-fA-F]{2})*$/.test(hex)) {
+                throw new ReplError("Unexpected output reading " + path);
+            }
+            view = new Uint8Array(hex.length / 2);
+            for (let i = 0; i < view.length; i++) {
+                view[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+            }
+        } else {
             // strip the b, ending newline, and quotes from the beginning and end
-            let sliceStart = result.indexOf("b'") + 2;
+            let sliceStart = result.indexOf("b'");
             let sliceEnd = result.lastIndexOf("'");
-            result = result.slice(sliceStart, sliceEnd);
+            if (sliceStart == -1 || sliceEnd < sliceStart + 2) {
+                throw new ReplError("Unexpected output reading " + path);
+            }
+            result = result.slice(sliceStart + 2, sliceEnd);
 
-            // convert the base64 string to an ArrayBuffer. Each byte of the Array buffer is a byte of the file with a value between 0-255
-            result = atob(result);  // Convert base64 to binary string
+            // convert the base64 string to a Uint8Array. Each byte of the array is a byte of the file with a value between 0-255
+            try {
+                result = atob(result);  // Convert base64 to binary string
+            } catch (error) {
+                throw new ReplError("Unexpected output reading " + path);
+            }
             let length = result.length;
-            let buffer = new ArrayBuffer(length);
-            let view = new Uint8Array(buffer);
+            view = new Uint8Array(length);
             for (let i = 0; i < length; i++) {
                 view[i] = result.charCodeAt(i);
             }
+        }
 
-            result = new Blob([buffer]);
-            return result;
-        } catch(error) {
-            return null;
+        // Fewer bytes than were asked for are only expected at the end of the file
+        if (view.length > size || (view.length < size && offset + view.length < await this._getFileSize(path))) {
+            throw new ReplError("Expected " + size + " bytes of " + path + " but received " + view.length);
         }
+        return view;
     }
 
-    async _readTextFile(path) {
-        try {
-            // Read and print out the contents of the file within backtick delimiters
-            let code = `
-with open("${path}", "r") as f:
-    print("\`" + f.read() + "\`")
-`;
-            let result = await this._repl.runCode(code);
-            if (await this._checkReplErrors()) {
-                return null;
-            }
+    // Read a file from the device in blocks of chunkSize bytes, yielding each block as a Uint8Array
+    // This allows large files to be processed without holding them in memory
+    async *readFileChunks(path, {chunkSize=FILE_CHUNK_SIZE, onProgress=null, signal=null}={}) {
+        let fileSize = await this._getFileSize(path);
+        let bytesRead = 0;
 
-            // Strip down to code within first and last backtick delimiters
-            let sliceStart = result.indexOf("`") + 1;
-            let sliceEnd = result.lastIndexOf("`");
-            result = result.slice(sliceStart, sliceEnd);
+        while (bytesRead < fileSize) {
+            if (signal) {
+                signal.throwIfAborted();
+            }
 
-            return result;
-        } catch(error) {
-            return null;
+            let block = await this._readRawBlock(path, bytesRead, Math.min(chunkSize, fileSize - bytesRead));
+            if (block.length == 0) {
+                // File was truncated while reading
+                break;
+            }
+            bytesRead += block.length;
+            if (onProgress) {
+                onProgress(bytesRead, fileSize);
+            }
+            yield block;
         }
     }
 
-    // Read a file from the device
-    async readFile(path, raw=false) {
-        let result;
+    // Read a file from the device. If raw is true, a Blob is returned, otherwise the contents are decoded as text
+    // The file is read in chunks of chunkSize bytes. After each chunk, onProgress(bytesRead, totalBytes) is called.
+    // An AbortSignal may be passed as signal to cancel the download between chunks
+    // If verify is true, the data is compared against a checksum calculated on the device and read again up to retries times
+    // if it doesn't match, after which a ChecksumMismatchError is thrown
+    async readFile(path, raw=false, {verify=false, ...options}={}) {
+        return (await this._readFile(path, raw, verify, options)).contents;
+    }
+
+    // Read a file like readFile with verify set, returning {contents, algorithm, checksum}
+    async readFileVerified(path, raw=false, options={}) {
+        return await this._readFile(path, raw, true, options);
+    }
+
+    // Read a file, returning {contents, algorithm, checksum}. The checksum is null if verify is false
+    async _readFile(path, raw, verify, {chunkSize=FILE_CHUNK_SIZE, onProgress=null, signal=null, retries=VERIFY_RETRIES}={}) {
+        let chunks;
+        let remote = {algorithm: null, checksum: null};
+
+        for (let attempt = 0; ; attempt++) {
+            chunks = [];
+            for await (let chunk of this.readFileChunks(path, {chunkSize, onProgress, signal})) {
+                chunks.push(chunk);
+            }
+            if (!verify) {
+                break;
+            }
+
+            let data = new Uint8Array(await new Blob(chunks).arrayBuffer());
+            remote = await this.getChecksum(path, 0, data.length);
+            let local = await this.computeChecksum(data, remote.algorithm);
+            if (local == remote.checksum) {
+                break;
+            }
+            if (attempt >= retries) {
+                throw new ChecksumMismatchError(path, remote.algorithm, remote.checksum, local);
+            }
+            if (DEBUG) {
+                console.log("Checksum mismatch reading " + path + ". Retrying.");
+            }
+        }
 
+        let result;
         if (raw) {
-            result = await this._readRawFile(path);
+            result = new Blob(chunks);
         } else {
-            result = await this._readTextFile(path);
+            // Decode as a stream so multi-byte characters split across chunks are handled
+            let decoder = new TextDecoder();
+            result = "";
+            for (let chunk of chunks) {
+                result += decoder.decode(chunk, {stream: true});
+            }
+            result += decoder.decode();
         }
 
-        return result;
+        return {contents: result, algorithm: remote.algorithm, checksum: remote.checksum};
     }
 
     // List files using paste mode on the device returning the result as a javascript array
-    // We need the file name, whether or not it is a directory, file size and file date
-    async listDir(path) {
+    // Each entry has the path relative to the listed directory, the mode bits, the type (file, dir or other), file size and file date
+    // If recursive is true, subdirectories are walked on the device in the same call
+    async listDir(path, recursive=false) {
         // Mask sure path has a trailing slash
         if (path[path.length - 1] != "/") {
             path += "/";
         }
 
-        let code = `
+        let setup = `
 import os
-import time
-contents = os.listdir("${path}")
-for item in contents:
-    result = os.stat("${path}" + item)
-    print(item, result[0], result[6], result[9])
+entries = []
+pending = [""]
+while pending:
+    subdir = pending.pop()
+    for item in os.listdir(${this._pyString(path)} + subdir):
+        name = subdir + item
+        result = os.stat(${this._pyString(path)} + name)
+        entries.append([name, result[0], result[6], result[8]])
+        if ${recursive ? "True" : "False"} and (result[0] & ${TYPE_MASK}) == ${TYPE_DIR}:
+            pending.append(name + "/")
 `;
-        const result = await this._repl.runCode(code);
         let contents = [];
-        if (!result) {
-            return contents;
-        }
-        for (let line of result.split("\n")) {
-            if (line.length > 0) {
-                let [name, isDir, fileSize, fileDate] = line.split(" ");
-                contents.push({
-                    path: name,
-                    isDir: isDir == TYPE_DIR,
-                    fileSize: parseInt(fileSize),
-                    fileDate: parseInt(fileDate) * 1000,
-                });
+        for (let [name, mode, fileSize, fileDate] of await this._eval("entries", setup, true)) {
+            let type = FILE_TYPE_OTHER;
+            if ((mode & TYPE_MASK) == TYPE_DIR) {
+                type = FILE_TYPE_DIR;
+            } else if ((mode & TYPE_MASK) == TYPE_FILE) {
+                type = FILE_TYPE_FILE;
             }
+            contents.push({
+                path: name,
+                mode: mode,
+                type: type,
+                isDir: type == FILE_TYPE_DIR,
+                fileSize: fileSize,
+                fileDate: fileDate * 1000,
+            });
         }
         return contents;
     }
 
     async isReadOnly() {
         // MicroPython doesn't have storage, but also doesn't have a CIRCUITPY drive
-        let code = `
+        let setup = `
 try:
     import storage
-    print(storage.getmount("/").readonly)
+    readonly = storage.getmount("/").readonly
 except ImportError:
-    print(False)
+    readonly = False
 `;
-        let result = await this._repl.runCode(code);
-        let isReadOnly = result.match("True") != null;
-
-        return isReadOnly;
+        return await this._eval("readonly", setup, true);
     }
 
     async makeDir(path, modificationTime=null) {
         await this._checkReadOnly();
         let code = `
 import os
-os.mkdir("${path}")
+os.mkdir(${this._pyString(path)})
+`;
+        if (modificationTime) {
+            modificationTime = Math.floor(modificationTime / 1000);
+            code += `os.utime(${this._pyString(path)}, (${modificationTime}, ${modificationTime}))\n`;
+        }
+        await this._runCode(code);
+    }
+
+    // Create a directory along with any missing parent directories, like mkdir -p
+    async makeDirs(path, modificationTime=null) {
+        await this._checkReadOnly();
+        let code = `
+import os
+path = ${this._pyString(path)}
+current = "/" if path.startswith("/") else ""
+for part in path.split("/"):
+    if not part:
+        continue
+    current += part
+    try:
+        os.mkdir(current)
 `;
+        // Directories that already existed keep their modification time
         if (modificationTime) {
             modificationTime = Math.floor(modificationTime / 1000);
-            code += `os.utime("${path}", (${modificationTime}, ${modificationTime}))\n`;
+            code += `        os.utime(current, (${modificationTime}, ${modificationTime}))
+`;
         }
-        await this._repl.runCode(code);
-        await this._checkReplErrors();
+        code += `    except OSError as error:
+        if error.args[0] != ${ERRNO_EEXIST}:
+            raise
+    current += "/"
+`;
+        await this._runCode(code);
+
+        return true;
     }
 
     async delete(path) {
         await this._checkReadOnly();
         let code = `
 import os
-stat = os.stat("${path}")
-if stat[0] == ${TYPE_FILE}:
-    os.remove("${path}")
+stat = os.stat(${this._pyString(path)})
+if (stat[0] & ${TYPE_MASK}) == ${TYPE_DIR}:
+    os.rmdir(${this._pyString(path)})
 else:
-    os.rmdir("${path}")
+    os.remove(${this._pyString(path)})
+`;
+        await this._runCode(code);
+    }
+
+    // Delete a file or a directory along with everything inside of it. Deleting the root empties the filesystem
+    // Entries that can't be deleted are skipped, along with the directories holding them, and reported in a TreeOperationError
+    async deleteTree(path) {
+        await this._checkReadOnly();
+        let setup = `
+import os
+failed = []
+def delete_tree(path):
+    try:
+        if (os.stat(path)[0] & ${TYPE_MASK}) == ${TYPE_DIR}:
+            deleted = True
+            for item in os.listdir(path):
+                deleted = delete_tree(path.rstrip("/") + "/" + item) and deleted
+            if deleted and path != "/":
+                os.rmdir(path)
+            return deleted
+        os.remove(path)
+        return True
+    except OSError as error:
+        failed.append([path, error.args[0]])
+        return False
+delete_tree(${this._pyString(this._normalizePath(path))})
+`;
+        this._checkTreeErrors("delete", await this._eval("failed", setup));
+
+        return true;
+    }
+
+    // Copy a file or a whole directory tree on the device. Existing files at the destination are overwritten
+    // Entries that can't be copied are skipped and reported by their source path in a TreeOperationError
+    async copy(srcPath, dstPath) {
+        await this._checkReadOnly();
+        srcPath = this._normalizePath(srcPath);
+        dstPath = this._normalizePath(dstPath);
+        let srcPrefix = srcPath.endsWith("/") ? srcPath : srcPath + "/";
+        if (dstPath == srcPath || dstPath.startsWith(srcPrefix)) {
+            throw new ReplError("Cannot copy " + srcPath + " into itself");
+        }
+
+        let setup = `
+import os
+failed = []
+def copy_tree(src, dst):
+    try:
+        if (os.stat(src)[0] & ${TYPE_MASK}) == ${TYPE_DIR}:
+            try:
+                os.mkdir(dst)
+            except OSError as error:
+                if error.args[0] != ${ERRNO_EEXIST}:
+                    raise
+            for item in os.listdir(src):
+                copy_tree(src.rstrip("/") + "/" + item, dst.rstrip("/") + "/" + item)
+        else:
+            with open(src, "rb") as src_file:
+                with open(dst, "wb") as dst_file:
+                    while True:
+                        block = src_file.read(${FILE_CHUNK_SIZE})
+                        if not block:
+                            break
+                        dst_file.write(block)
+    except OSError as error:
+        failed.append([src, error.args[0]])
+copy_tree(${this._pyString(srcPath)}, ${this._pyString(dstPath)})
 `;
-        await this._repl.runCode(code);
-        await this._checkReplErrors();
+        this._checkTreeErrors("copy", await this._eval("failed", setup));
+
+        return true;
     }
 
     async move(oldPath, newPath) {
         await this._checkReadOnly();
         // we need to check if the new path already exists
-        // Return true on success and false on failure
 
         let code = `
 import os
-os.rename("${oldPath}", "${newPath}")
+os.rename(${this._pyString(oldPath)}, ${this._pyString(newPath)})
 `;
-        await this._repl.runCode(code);
-        let error = await this._checkReplErrors();
+        await this._runCode(code);
+
+        return true;
+    }
+
+    // Flatten a local tree into a Map of relative paths, adding any parent directories that are only implied by file paths
+    _normalizeLocalTree(localTree) {
+        let entries = new Map();
+        for (let [path, entry] of Object.entries(localTree)) {
+            path = path.replace(/^\/+|\/+$/g, "");
+            if (!path) {
+                continue;
+            }
+            let parts = path.split("/");
+            for (let i = 1; i < parts.length; i++) {
+                let parent = parts.slice(0, i).join("/");
+                if (!entries.has(parent)) {
+                    entries.set(parent, {isDir: true, modificationTime: null});
+                }
+            }
+            entries.set(path, entry);
+        }
+        return entries;
+    }
+
+    // Check whether a local file and a remote file differ. Checksums are compared if either side has no modification time
+    async _syncEntryDiffers(localEntry, remoteEntry, remoteFilePath, compare) {
+        let contents = new Uint8Array(localEntry.contents);
+        if (contents.length != remoteEntry.fileSize) {
+            return true;
+        }
+        if (compare == SYNC_COMPARE_CHECKSUM || localEntry.modificationTime == null || !remoteEntry.fileDate) {
+            let remote = await this.getChecksum(remoteFilePath);
+            return await this.computeChecksum(contents, remote.algorithm) != remote.checksum;
+        }
+        return Math.abs(localEntry.modificationTime - remoteEntry.fileDate) > SYNC_MTIME_TOLERANCE;
+    }
+
+    // Synchronize a local tree with a directory on the device, returning the plan of changes as relative paths:
+    // {makeDirs, uploads, downloads, deletes}
+    // localTree is an object keyed by path relative to remotePath. File entries are {contents, modificationTime}
+    // with contents as an ArrayBuffer or Uint8Array, and directory entries are {isDir: true, modificationTime}
+    // With direction SYNC_PUSH, the device is updated to match localTree. With SYNC_PULL, localTree is updated in place.
+    // Files are compared by size and modification time, or by checksum if compare is SYNC_COMPARE_CHECKSUM or a file has no
+    // modification time.
+    // If deleteExtraneous is true, entries that only exist on the destination are deleted. If dryRun is true, nothing is changed
+    // Pushing to a remotePath that doesn't exist creates it
+    async sync(localTree, remotePath, {direction=SYNC_PUSH, deleteExtraneous=false, dryRun=false, compare=SYNC_COMPARE_MTIME}={}) {
+        if (direction != SYNC_PUSH && direction != SYNC_PULL) {
+            throw new TypeError("Sync direction expected to be either SYNC_PUSH or SYNC_PULL");
+        }
+        if (remotePath[remotePath.length - 1] != "/") {
+            remotePath += "/";
+        }
+
+        let localEntries = this._normalizeLocalTree(localTree);
+        let remoteEntries = new Map();
+        let remoteListing = [];
+        try {
+            remoteListing = await this.listDir(remotePath, true);
+        } catch (error) {
+            // Pushing to a directory that doesn't exist yet creates it
+            if (direction != SYNC_PUSH || !(error instanceof DeviceOSError) || error.errno != ERRNO_ENOENT) {
+                throw error;
+            }
+        }
+        for (let entry of remoteListing) {
+            remoteEntries.set(entry.path, entry);
+        }
+
+        let plan = {
+            makeDirs: [],
+            uploads: [],
+            downloads: [],
+            deletes: [],
+        };
+        let [sourceEntries, destEntries] = direction == SYNC_PUSH ? [localEntries, remoteEntries] : [remoteEntries, localEntries];
+        let transfers = direction == SYNC_PUSH ? plan.uploads : plan.downloads;
+
+        for (let [path, sourceEntry] of sourceEntries) {
+            let destEntry = destEntries.get(path);
+            let [localEntry, remoteEntry] = direction == SYNC_PUSH ? [sourceEntry, destEntry] : [destEntry, sourceEntry];
+            if (sourceEntry.isDir) {
+                if (!destEntry || !destEntry.isDir) {
+                    plan.makeDirs.push(path);
+                }
+            } else if (!destEntry || destEntry.isDir || await this._syncEntryDiffers(localEntry, remoteEntry, remotePath + path, compare)) {
+                transfers.push(path);
+            }
+        }
+
+        // Sorting puts directories before their contents
+        for (let path of [...destEntries.keys()].sort()) {
+            let sourceEntry = sourceEntries.get(path);
+            // Entries of the wrong type always need to be removed before they can be replaced
+            let isConflict = sourceEntry && !!sourceEntry.isDir != !!destEntries.get(path).isDir;
+            if ((deleteExtraneous && !sourceEntry) || isConflict) {
+                // Skip anything inside of a directory that is already being deleted
+                if (!plan.deletes.some(deleted => path.startsWith(deleted + "/"))) {
+                    plan.deletes.push(path);
+                }
+            }
+        }
+
+        plan.makeDirs.sort();
+        if (dryRun) {
+            return plan;
+        }
+
+        if (direction == SYNC_PUSH) {
+            for (let path of plan.deletes) {
+                await this.deleteTree(remotePath + path);
+            }
+            if (plan.makeDirs.length || plan.uploads.length) {
+                await this.makeDirs(remotePath);
+            }
+            for (let path of plan.makeDirs) {
+                await this.makeDir(remotePath + path, localEntries.get(path).modificationTime);
+            }
+            for (let path of plan.uploads) {
+                let entry = localEntries.get(path);
+                await this.writeFile(remotePath + path, entry.contents, 0, entry.modificationTime, true);
+            }
+        } else {
+            for (let path of plan.deletes) {
+                for (let key of Object.keys(localTree)) {
+                    let normalizedKey = key.replace(/^\/+|\/+$/g, "");
+                    if (normalizedKey == path || normalizedKey.startsWith(path + "/")) {
+                        delete localTree[key];
+                    }
+                }
+            }
+            for (let path of plan.makeDirs) {
+                localTree[path] = {isDir: true, modificationTime: remoteEntries.get(path).fileDate};
+            }
+            for (let path of plan.downloads) {
+                let contents = await this.readFile(remotePath + path, true);
+                localTree[path] = {
+                    contents: new Uint8Array(await contents.arrayBuffer()),
+                    modificationTime: remoteEntries.get(path).fileDate,
+                };
+            }
+        }
 
-        return !error;
+        return plan;
     }
 }
 
+// Holds received bytes as a string with one character per byte, so lengths and positions count bytes.
+// Positions are counted from the first byte ever received, so they stay valid after older data is discarded
 class InputBuffer {
-    constructor() {
+    constructor(scrollback=INPUT_BUFFER_SCROLLBACK) {
         this._buffer = "";
+        this._offset = 0;   // Position of the first byte still held
         this._pointer = 0;
         this.lineEnding = LINE_ENDING_CRLF;
+        this.scrollback = scrollback;
     }
 
     append(data) {
         this._buffer += data;
     }
 
+    // Discard data behind the pointer, apart from the scrollback window. Output that nothing reads, like a program
+    // printing at the normal prompt, never moves the pointer, so if discardUnread is true, unread data older than
+    // twice the window is discarded too
+    compact(discardUnread=false) {
+        let cutoff = this._pointer - this.scrollback;
+        if (discardUnread) {
+            cutoff = Math.max(cutoff, this.getEnd() - 2 * this.scrollback);
+        }
+        // Wait until there is at least a window's worth to discard so the buffer isn't copied on every append
+        if (cutoff - this._offset < this.scrollback) {
+            return;
+        }
+        this._buffer = this._buffer.slice(cutoff - this._offset);
+        this._offset = cutoff;
+        if (this._pointer < cutoff) {
+            this._pointer = cutoff;
+        }
+    }
+
     get() {
         return this._buffer;
     }
 
+    slice(start, end=this.getEnd()) {
+        return this._buffer.slice(Math.max(start - this._offset, 0), Math.max(end - this._offset, 0));
+    }
+
     clear() {
+        this._offset = this.getEnd();
         this._buffer = "";
-        this._pointer = 0;
+        this._pointer = this._offset;
     }
 
     readLine(advancePointer = true) {
         let lines = this.getLines();
-        if (this._buffer.slice(this._pointer).length == 0) {
+        if (this.available() == 0) {
             return null;
         }
         if (advancePointer) {
@@ -328,7 +1121,7 @@ class InputBuffer {
 
     readLastLine() {
         let lines = this.getLines();
-        if (this._buffer.slice(this._pointer).length == 0) {
+        if (this.available() == 0) {
             return null;
         }
 
@@ -337,14 +1130,18 @@ class InputBuffer {
 
     getRemainingBuffer() {
         // Let the result contain a slice of the buffer from the pointer to the end
-        let result = this._buffer.slice(this._pointer);
+        let result = this.slice(this._pointer);
         this._pointer += result.length;
         return result;
     }
 
+    available() {
+        return this.getEnd() - this._pointer;
+    }
+
     readExactly(byteCount) {
-        let bytes = this._buffer.slice(this._pointer, this._pointer + byteCount);
-        this._pointer += byteCount;
+        let bytes = this.slice(this._pointer, this._pointer + byteCount);
+        this._pointer += bytes.length;
         return bytes;
     }
 
@@ -370,8 +1167,8 @@ class InputBuffer {
     movePointer(offset) {
         if (offset < this._pointer) {
             return;
-        } else if (offset > this._buffer.length) {
-            offset = this._buffer.length;
+        } else if (offset > this.getEnd()) {
+            offset = this.getEnd();
         }
         this._pointer = offset;
     }
@@ -379,7 +1176,7 @@ class InputBuffer {
     getLines(allLines = false) {
         let buffer = this._buffer;
         if (!allLines) {
-            buffer = buffer.slice(this._pointer);
+            buffer = this.slice(this._pointer);
         }
         return buffer.split(this.lineEnding);
     }
@@ -387,13 +1184,31 @@ class InputBuffer {
     getPointerPosition() {
         return this._pointer;
     }
+
+    getStart() {
+        return this._offset;
+    }
+
+    getEnd() {
+        return this._offset + this._buffer.length;
+    }
 }
 
-export class REPL {
+// Events are dispatched as the device's state changes, each carrying its details as properties of the event:
+//   title (title), modechange (mode, previousMode), output (data), stderr (data, error), reboot (requested),
+//   codestart (code), codeend (output, errorOutput), connect and disconnect (error)
+export class REPL extends EventTarget {
     constructor() {
+        super();
         this._pythonCodeRunning = false;
         this._codeOutput = '';
         this._errorOutput = '';
+        this._rawCodeOutput = '';   // Bytes of the code output, one character per byte
+        // Received data is kept as bytes and decoded separately for each place the text is used
+        this._terminalDecoder = new TextDecoder();
+        this._titleDecoder = new TextDecoder();
+        this._stdoutDecoder = new TextDecoder();
+        this._stderrDecoder = new TextDecoder();
         this._serialInputBuffer = new InputBuffer();
         this._checkingPrompt = false;
         this._titleMode = false;
@@ -410,7 +1225,20 @@ export class REPL {
         this._checkpointCount = 0;
         this._rawByteCount = 0;
         this._partialToken = null;
+        this._rawPasteSupported = null; // Unknown until raw-paste mode has been negotiated
         this.terminalOutput = true;
+        this._operationQueue = [];
+        this._operationRunning = false;
+        this._onStdout = null;
+        this._onStderr = null;
+        this._codeDuration = 0;
+        this._waiters = new Set();
+        this._modeScanPosition = 0;
+        this._modeScanFloor = 0;
+        this._bootScanFloor = 0;
+        this._resetting = false;        // A reset was seen and the device hasn't been back at a prompt since
+        this._resetRequested = false;   // We sent the soft reboot ourselves
+        this._resetPending = false;     // The running operation was interrupted by a reset
     }
 
     //// Abstract Functions ////
@@ -424,27 +1252,180 @@ export class REPL {
 
     //// Utility Functions ////
 
+    _emit(type, properties={}) {
+        this.dispatchEvent(Object.assign(new Event(type), properties));
+    }
+
+    _output(data) {
+        this.writeToTerminal(data);
+        this._emit("output", {data});
+    }
+
     _writeToTerminal(data) {
         if (this.terminalOutput) {
-            this.writeToTerminal(data);
+            this._output(data);
         }
     }
 
     writeErrorToTerminal(data) {
-        this.writeToTerminal(`\x1b[91m${data}\x1b[0m`);
+        this._output(`\x1b[91m${data}\x1b[0m`);
+    }
+
+    _setMode(mode) {
+        if (mode == this._mode) {
+            return;
+        }
+        let previousMode = this._mode;
+        this._mode = mode;
+        if (mode) {
+            this._resetting = false;
+        }
+        this._emit("modechange", {mode: modes[mode || 0], previousMode: modes[previousMode || 0]});
     }
 
     _sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
-    _timeout(callback, ms) {
-        return Promise.race([callback(), this._sleep(ms).then(() => {throw Error("Timed Out");})]);
+    async _timeout(callback, ms) {
+        // The callback is passed an AbortSignal that is aborted on timeout, so it can stop whatever it is still doing
+        // The timer is cleared once the callback settles so it doesn't keep Node processes alive
+        let controller = new AbortController();
+        let timer;
+        let timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                let error = new ReplTimeoutError("Timed Out");
+                controller.abort(error);
+                reject(error);
+            }, ms);
+        });
+        try {
+            return await Promise.race([callback(controller.signal), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
     }
 
-    _regexEscape(regexString) {
-        return regexString.replace(/\\/, "\\\\");
-    }
+    // Wait until check returns a truthy value and resolve to it. Instead of polling, the check is run again whenever
+    // data is received. Rejects with a ReplTimeoutError after timeout ms, or with the signal's reason if it is aborted
+    _waitFor(check, timeout=null, signal=null) {
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            let onAbort = () => waiter.done(signal.reason);
+            let waiter = {
+                check,
+                done: (error, result) => {
+                    this._waiters.delete(waiter);
+                    clearTimeout(timer);
+                    if (signal) {
+                        signal.removeEventListener("abort", onAbort);
+                    }
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve(result);
+                    }
+                },
+            };
+
+            if (this._resetPending) {
+                // Whatever the operation was waiting for won't arrive now
+                waiter.done(new DeviceResetError("The device reset while an operation was in progress"));
+                return;
+            }
+            if (this._runWaiter(waiter)) {
+                return;
+            }
+            if (signal) {
+                if (signal.aborted) {
+                    waiter.done(signal.reason);
+                    return;
+                }
+                signal.addEventListener("abort", onAbort);
+            }
+            if (timeout != null) {
+                timer = setTimeout(() => waiter.done(new ReplTimeoutError("Timed Out")), timeout);
+            }
+            this._waiters.add(waiter);
+        });
+    }
+
+    // Run a waiter's check and settle it if the check passed or threw. Returns whether it was settled
+    _runWaiter(waiter) {
+        let result;
+        try {
+            result = waiter.check();
+        } catch (error) {
+            waiter.done(error);
+            return true;
+        }
+        if (result) {
+            waiter.done(null, result);
+            return true;
+        }
+        return false;
+    }
+
+    _notifyWaiters() {
+        for (let waiter of [...this._waiters]) {
+            this._runWaiter(waiter);
+        }
+    }
+
+    // Get the number of bytes a string will take up once UTF-8 encoded
+    _byteLength(string) {
+        return new TextEncoder().encode(string).length;
+    }
+
+    // Get the longest leading slice of a string that fits in byteCount UTF-8 bytes without splitting characters
+    _sliceToByteLength(string, byteCount) {
+        let length = 0;
+        let bytes = 0;
+        for (let char of string) {
+            let codePoint = char.codePointAt(0);
+            let charBytes = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+            if (bytes + charBytes > byteCount) {
+                break;
+            }
+            bytes += charBytes;
+            length += char.length;
+        }
+        return string.slice(0, length);
+    }
+
+    // Convert received bytes, or a string that was already decoded, to a string with one character per byte
+    _toBinary(data) {
+        if (typeof data == "string") {
+            data = new TextEncoder().encode(data);
+        } else if (data instanceof ArrayBuffer) {
+            data = new Uint8Array(data);
+        } else if (!(data instanceof Uint8Array)) {
+            data = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+        }
+        let binary = "";
+        // Convert in pieces to stay within the argument limit of fromCharCode
+        for (let i = 0; i < data.length; i += BINARY_CONVERSION_CHUNK_SIZE) {
+            binary += String.fromCharCode.apply(null, data.subarray(i, i + BINARY_CONVERSION_CHUNK_SIZE));
+        }
+        return binary;
+    }
+
+    _fromBinary(binary) {
+        let bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    // Decode bytes with a streaming decoder, which holds on to a character that is split between chunks
+    _decode(decoder, binary, stream=true) {
+        return decoder.decode(this._fromBinary(binary), {stream});
+    }
+
+    _regexEscape(regexString) {
+        return regexString.replace(/\\/, "\\\\");
+    }
 
     // Split a string up by full title start and end character sequences
     _tokenize(string) {
@@ -454,7 +1435,7 @@ export class REPL {
 
     // Check if a chunk of data has a partial title start/end character sequence at the end
     _hasPartialToken(chunk) {
-        const partialToken = /\\x1b(?:\](?:0"?)?)?$/gi;
+        const partialToken = /\x1b(?:\]0?)?$/;
         return partialToken.test(chunk);
     }
 
@@ -469,43 +1450,72 @@ export class REPL {
         return null;
     }
 
-    async _detectCurrentMode() {
-        // Go through the buffer and detect the last mode change
-        let buffer = this._serialInputBuffer.get();
+    // Look through newly received data for the last mode change. This runs as data arrives, so the mode is always current
+    _updateMode() {
+        let end = this._serialInputBuffer.getEnd();
+        if (this._pythonCodeRunning) {
+            // Code output can contain anything, so it isn't searched for prompts
+            this._modeScanPosition = this._modeScanFloor = end;
+            return;
+        }
+
+        let start = Math.max(this._modeScanPosition - MODE_SCAN_OVERLAP, this._modeScanFloor, this._serialInputBuffer.getStart());
+        let region = this._serialInputBuffer.slice(start);
+        this._modeScanPosition = end;
 
         const rawModRegex = new RegExp(REGEX_PROMPT_RAW_MODE, 'g');
         const normalModRegex = new RegExp(REGEX_PROMPT_NORMAL_MODE, 'g');
         const prePromptRegex = new RegExp(REGEX_PRE_PROMPT, 'g');
 
-        let lastRawPosition = this._findLastRegexPosition(rawModRegex, buffer);
-        let lastNormalPosition = this._findLastRegexPosition(normalModRegex, buffer);
-        let lastPrePromptPosition = this._findLastRegexPosition(prePromptRegex, buffer);
+        let lastRawPosition = this._findLastRegexPosition(rawModRegex, region);
+        let lastNormalPosition = this._findLastRegexPosition(normalModRegex, region);
+        let lastPrePromptPosition = this._findLastRegexPosition(prePromptRegex, region);
         if (lastPrePromptPosition > lastNormalPosition && lastPrePromptPosition > lastRawPosition) {
-            this._mode = MODE_PRE_PROMPT;
-            if (DEBUG) {
+            if (DEBUG && this._mode != MODE_PRE_PROMPT) {
                 console.log("Pre-Prompt Detected");
             }
-            this._serialInputBuffer.movePointer(lastPrePromptPosition);
-            await this.serialTransmit(CHAR_CTRL_C);
+            this._setMode(MODE_PRE_PROMPT);
+            this._serialInputBuffer.movePointer(start + lastPrePromptPosition);
+        } else if (lastRawPosition > lastNormalPosition) {
+            this._setMode(MODE_RAW);
+            this._serialInputBuffer.movePointer(start + lastRawPosition);
+        } else if (lastNormalPosition > lastRawPosition) {
+            this._setMode(MODE_NORMAL);
+            this._serialInputBuffer.movePointer(start + lastNormalPosition);
+        }
+    }
+
+    async _detectCurrentMode() {
+        // The mode is tracked as data arrives, so this is only needed if nothing has been seen from the device yet
+        if (this._mode) {
             return;
         }
 
-        if (lastRawPosition > lastNormalPosition) {
-            this._mode = MODE_RAW;
-            this._serialInputBuffer.movePointer(lastRawPosition);
-        } else if (lastNormalPosition > lastRawPosition) {
-            this._mode = MODE_NORMAL;
-            this._serialInputBuffer.movePointer(lastNormalPosition);
+        // The device may be running code.py after a reset, so try interrupting it before restarting the device
+        await this._serialTransmit(CHAR_CTRL_C);
+        if (await this._waitForMode()) {
+            return;
         }
 
         // If no mode changes detected, we will assume normal mode with code running
-        if (!this._mode) {
-            if (DEBUG) {
-                console.log("No mode detected. Restarting Device.");
+        if (DEBUG) {
+            console.log("No mode detected. Restarting Device.");
+        }
+        await this._softRestart();
+        await this._serialTransmit(CHAR_CTRL_C);
+        await this._waitForMode();
+    }
+
+    // Wait a short time for the mode to be detected and return whether it was
+    async _waitForMode() {
+        try {
+            await this._waitFor(() => this._mode, MODE_DETECT_TIMEOUT);
+            return true;
+        } catch (error) {
+            if (!(error instanceof ReplTimeoutError)) {
+                throw error;
             }
-            await this.softRestart();
-            await this.serialTransmit(CHAR_CTRL_C);
-            await this._sleep(1000);
+            return false;
         }
     }
 
@@ -537,143 +1547,322 @@ export class REPL {
         return this._lineIsPrompt(/>>> $/);
     }
 
-    async _checkCodeRunning() {
-        await this._detectCurrentMode();
-        if (DEBUG) {
-            console.log("Checking if code is running in " + modes[this._mode]);
+    // Parse the output of code running in raw mode as it arrives
+    _checkCodeRunning() {
+        // The next bytes should be 1 of the following:
+        // We receive OK, followed by code output, followed by Ctrl-D, followed by error output, followed by Ctrl-D
+        // or we receive an error message
+        if (this._checkpointCount == 0 && this._serialInputBuffer.available() < 2) {
+            // Wait until there are enough bytes to check for OK
+            return;
         }
-        if (this._mode == MODE_RAW) {
-            // In raw mode, we simply need to look for OK
-            // Then we should store the results in the code output
-
-            // The next bytes should be 1 of the following:
-            // We receive OK, followed by code output, followed by Ctrl-D, followed by error output, followed by Ctrl-D
-            // or we receive an error message
-            let bytes = this._serialInputBuffer.getRemainingBuffer();
-            this._rawByteCount += bytes.length;
-
-            if (this._rawByteCount >= 2) {
-                while (bytes.length > 0) {
-                    if (this._checkpointCount == 0) {
-                        if (bytes.slice(0, 2).match("OK")) {
-                            this._checkpointCount++;
-                            bytes = bytes.slice(2);
-                        } else if (bytes.slice(0, 2).match("ra")) {
-                            if (DEBUG) {
-                                console.log("Unexpected bytes encountered. " + bytes);
-                            }
-                            return;
-                        } else if (bytes.slice(0, 4) == CHAR_TITLE_START) {
-                            // Device was reset, wait for prompt
-                            await this.serialTransmit(CHAR_CTRL_C);
-                            await this.getToPrompt();
-                            return;
-                        } else {
-                            console.error("Unexpected output in raw mode: " + bytes);
-                            return;
-                        }
-                    } else {
-                        if (bytes.slice(0, 1).match(CHAR_CTRL_D)) {
-                            this._checkpointCount++;
-                            //console.log("Checkpoint Count: " + this._checkpointCount);
-                        } else {
-                            if (this._checkpointCount == 1) {
-                                // Code Output
-                                this._codeOutput += bytes.slice(0, 1);
-                                //console.log("Code Output: " + bytes.slice(0,1));
-                            } else if (this._checkpointCount == 2) {
-                                // Error Output
-                                this._errorOutput += bytes.slice(0, 1);
-                                //console.log("Error: " + bytes.slice(0,1));
-                            } else if (this._checkpointCount >= 2) {
-                                // We're done
-                                this._pythonCodeRunning = false;
-                            }
-                        }
-
-                        bytes = bytes.slice(1); // Remove the first byte
+        let start = this._serialInputBuffer.getPointerPosition();
+        let bytes = this._serialInputBuffer.getRemainingBuffer();
+        this._rawByteCount += bytes.length;
+        let codeOutput = '';
+        let errorOutput = '';
+
+        let index = 0;
+        while (index < bytes.length) {
+            if (this._checkpointCount == 0) {
+                if (bytes.slice(index, index + 2).match("OK")) {
+                    this._checkpointCount++;
+                    index += 2;
+                } else if (bytes.slice(index, index + 2).match("ra")) {
+                    if (DEBUG) {
+                        console.log("Unexpected bytes encountered. " + bytes.slice(index));
                     }
+                    return;
+                } else if (bytes.slice(index, index + 4) == CHAR_TITLE_START) {
+                    // Device was reset before the code started. Look for prompts from here on
+                    this._resetDetected(start + index);
+                    this._updateMode();
+                    throw new DeviceResetError("The device reset before the code could run");
+                } else {
+                    if (DEBUG) {
+                        console.log("Unexpected output in raw mode: " + bytes.slice(index));
+                    }
+                    return;
+                }
+            } else {
+                let char = bytes[index];
+                if (char == CHAR_CTRL_D) {
+                    this._checkpointCount++;
+                } else if (this._checkpointCount == 1) {
+                    // Code Output
+                    codeOutput += char;
+                } else if (this._checkpointCount == 2) {
+                    // Error Output
+                    errorOutput += char;
+                } else {
+                    // We're done
+                    this._pythonCodeRunning = false;
                 }
+                index++;
             }
+        }
 
-            return;
+        // Decode the output that arrived since the last check. The decoders are flushed once their section has ended
+        this._rawCodeOutput += codeOutput;
+        let stdout = this._decode(this._stdoutDecoder, codeOutput, this._checkpointCount < 2);
+        let stderr = this._decode(this._stderrDecoder, errorOutput, this._checkpointCount < 3);
+        this._codeOutput += stdout;
+        this._errorOutput += stderr;
+
+        // Pass along any output that arrived since the last check
+        if (this._onStdout && stdout) {
+            this._callOutputCallback(this._onStdout, stdout);
+        }
+        if (this._onStderr && stderr) {
+            this._callOutputCallback(this._onStderr, stderr);
         }
+    }
 
-        // In normal mode, we need to look for the prompt
-        if (!!this._currentLineIsNormalPrompt()) {
+    // Errors thrown by an output callback are reported with an error event, as ending the run would leave the code running
+    _callOutputCallback(callback, data) {
+        try {
+            callback(data);
+        } catch (error) {
             if (DEBUG) {
-                console.log("REPL at Normal Mode prompt");
+                console.log("Output callback error: " + error.message);
             }
-            this._pythonCodeRunning = false;
-        } else {
-            console.log("Normal Prompt not detected.");
+            this._emit("error", {error});
         }
     }
 
-    _decodeError(rawError) {
-        // Errors are typically 3 lines long
-        let errorLines = rawError.split(this._inputLineEnding);
-        let error = {
+    // Decode a single exception from the lines of a traceback
+    _decodeException(lines) {
+        let exception = {
             file: null,
             line: null,
+            function: null,
             type: null,
             message: null,
             errno: null,
+            frames: [],
         };
-        if (errorLines.length > 0) {
-            error.file = errorLines[1].match(/File "(.*)"/)[1];
-            error.line = parseInt(errorLines[1].match(/line (\d+)/)[1]);
-            error.type = errorLines[2].match(/(.+?):/)[1];
-            error.message = errorLines[2].match(/: (.+)$/)[1];
-            if (error.type == "OSError") {
-                error.errno = parseInt(error.message.match(/\[Errno (\d+)\]/)[1]);
-                error.message = error.message.replace(/\[Errno \d+\] /, '');
+
+        let messageLines = null;
+        for (let line of lines) {
+            let frame = line.match(REGEX_TRACEBACK_FRAME);
+            if (messageLines) {
+                // Anything after the exception line is a continuation of the message
+                messageLines.push(line);
+            } else if (frame) {
+                exception.frames.push({
+                    file: frame[1],
+                    line: parseInt(frame[2]),
+                    function: frame[3] || null,
+                });
+            } else if (line.length && !/^\s/.test(line) && !REGEX_TRACEBACK_START.test(line)) {
+                // Indented lines are source code, so the first unindented line is the exception itself
+                messageLines = [line];
+            }
+        }
+
+        if (messageLines) {
+            let exceptionLine = messageLines.shift();
+            let match = exceptionLine.match(/^([\w.]+)(?::\s?(.*))?$/);
+            if (match) {
+                exception.type = match[1];
+                exception.message = [match[2] || "", ...messageLines].join("\n").trim();
+            } else {
+                exception.message = [exceptionLine, ...messageLines].join("\n").trim();
+            }
+
+            let errno = exception.message.match(/^\[Errno (\d+)\]\s*/);
+            if (errno) {
+                exception.errno = parseInt(errno[1]);
+                exception.message = exception.message.slice(errno[0].length);
+            }
+        }
+
+        // The innermost frame is where the exception was raised
+        if (exception.frames.length) {
+            let frame = exception.frames[exception.frames.length - 1];
+            exception.file = frame.file;
+            exception.line = frame.line;
+            exception.function = frame.function;
+        }
+
+        return exception;
+    }
+
+    // Decode a traceback into the exception type, message, errno and every frame
+    // Exceptions that were being handled when it was raised are included in chained, oldest first
+    _decodeError(rawError) {
+        let blocks = [[]];
+        for (let line of rawError.split(/\r?\n/)) {
+            if (REGEX_TRACEBACK_CHAINED.test(line)) {
+                blocks.push([]);
+            } else {
+                blocks[blocks.length - 1].push(line);
             }
         }
+
+        let exceptions = blocks.map(lines => this._decodeException(lines));
+        let error = exceptions.pop();
+        error.chained = exceptions;
         error.raw = rawError;
         return error;
     }
 
+    // Request raw-paste mode from the raw prompt. Returns true if the device supports it
+    async _enterRawPasteMode() {
+        if (this._rawPasteSupported === false) {
+            return false;
+        }
+
+        await this._serialTransmit(RAW_PASTE_REQUEST);
+        let response = await this._readBytes(2);
+        if (response == RAW_PASTE_SUPPORTED) {
+            this._rawPasteSupported = true;
+            return true;
+        }
+
+        this._rawPasteSupported = false;
+        if (response != RAW_PASTE_UNSUPPORTED) {
+            // Device doesn't know about raw-paste mode at all, wait for it to redisplay the raw prompt
+            if (DEBUG) {
+                console.log("Raw-paste mode not understood by device: " + response);
+            }
+            if (await this._readUntil(REGEX_PROMPT_RAW_MODE)) {
+                await this._readUntil(">");
+            }
+        }
+        return false;
+    }
+
+    // Write code in raw-paste mode, respecting the device's flow control
+    async _rawPasteWrite(code) {
+        // The device begins by telling us the window size increment as a 16-bit little endian value
+        let header = await this._readBytes(2);
+        if (header === null) {
+            return false;
+        }
+        let windowSize = header.charCodeAt(0) | (header.charCodeAt(1) << 8);
+        if (!windowSize) {
+            windowSize = RAW_PASTE_DEFAULT_WINDOW;
+        }
+        let windowRemain = windowSize;
+
+        while (code.length > 0) {
+            let chunk = this._sliceToByteLength(code, windowRemain);
+            if (chunk.length == 0 || this._serialInputBuffer.available() > 0) {
+                let flowByte = await this._readBytes(1);
+                if (flowByte == CHAR_CTRL_A) {
+                    // Device is ready for another window of data
+                    windowRemain += windowSize;
+                } else if (flowByte == CHAR_CTRL_D) {
+                    // Device ended the paste abruptly, acknowledge it
+                    await this._serialTransmit(CHAR_CTRL_D);
+                    return false;
+                } else {
+                    if (DEBUG) {
+                        console.log("Unexpected data during raw paste: " + flowByte);
+                    }
+                    return false;
+                }
+                continue;
+            }
+
+            await this._serialTransmit(chunk);
+            windowRemain -= this._byteLength(chunk);
+            code = code.slice(chunk.length);
+        }
+
+        // Indicate the end of data and wait for the device to acknowledge it
+        await this._serialTransmit(CHAR_CTRL_D);
+        return await this._readUntil(CHAR_CTRL_D, RAW_PASTE_TIMEOUT);
+    }
+
+    // Write code in plain raw mode for devices without raw-paste support
+    async _rawWrite(code) {
+        while (code.length > 0) {
+            let chunk = this._sliceToByteLength(code, RAW_MODE_CHUNK_SIZE);
+            await this._serialTransmit(chunk);
+            code = code.slice(chunk.length);
+            await this._sleep(RAW_MODE_CHUNK_DELAY);
+        }
+        await this._serialTransmit(CHAR_CTRL_D);
+    }
+
+    // Wait for an exact number of bytes to arrive and read them. Returns null on timeout
+    async _readBytes(byteCount, timeout=RAW_PASTE_TIMEOUT) {
+        try {
+            await this._waitFor(() => this._serialInputBuffer.available() >= byteCount, timeout);
+        } catch (error) {
+            if (!(error instanceof ReplTimeoutError)) {
+                throw error;
+            }
+            return null;
+        }
+
+        return this._serialInputBuffer.readExactly(byteCount);
+    }
+
     async _readUntil(value, timeout=5000) {
-        // Call readUntil in the SerialInputBuffer, but with a timeout wrapper
+        // Call readUntil in the SerialInputBuffer each time data arrives, but with a timeout
         try {
-            await this._timeout(
-                async () => {
-                    while (!this._serialInputBuffer.readUntil(value)) {
-                        await this._sleep(100);
-                    }
-                }, timeout
-            );
+            await this._waitFor(() => this._serialInputBuffer.readUntil(value), timeout);
         } catch (error) {
+            if (!(error instanceof ReplTimeoutError)) {
+                throw error;
+            }
             return false;
         }
 
         return true;
     }
 
-    async _waitForCodeExecution(codeTimeoutMs=CODE_EXECUTION_TIMEOUT) {
+    // Let the code stop on a KeyboardInterrupt so the device is left at the raw prompt
+    async _stopCode(codeFinished) {
+        if (!this._pythonCodeRunning) {
+            return;
+        }
+        try {
+            await this._serialTransmit(CHAR_CTRL_C);
+            await this._waitFor(codeFinished, CODE_INTERRUPT_TIMEOUT);
+        } catch (error) {
+            if (!(error instanceof ReplTimeoutError)) {
+                throw error;
+            }
+        } finally {
+            this._pythonCodeRunning = false;
+        }
+    }
+
+    async _waitForCodeExecution(codeTimeoutMs=CODE_EXECUTION_TIMEOUT, signal=null) {
         // Wait for the code to finish running, so we can capture the output
         if (DEBUG) {
             console.log("Waiting for code execution");
         }
-        if (codeTimeoutMs) {
-            try {
-                await this._timeout(
-                    async () => {
-                        while (this._pythonCodeRunning) {
-                            await this._checkCodeRunning();
-                            await this._sleep(100);
-                        }
-                    }, codeTimeoutMs
-                );
-            } catch (error) {
-                console.error("Code timed out.");
+        let codeFinished = () => {
+            this._checkCodeRunning();
+            return !this._pythonCodeRunning;
+        };
+        try {
+            // A timeout of 0 waits without a time limit
+            await this._waitFor(codeFinished, codeTimeoutMs || null, signal);
+        } catch (error) {
+            if (signal && signal.aborted) {
+                await this._stopCode(codeFinished);
+                throw signal.reason;
             }
-        } else {
-            // Run without timeout
-            while (this._pythonCodeRunning) {
-                await this._sleep(100);
+            if (!(error instanceof ReplTimeoutError)) {
+                try {
+                    await this._stopCode(codeFinished);
+                } catch (stopError) {
+                    if (DEBUG) {
+                        console.log("Unable to stop code: " + stopError.message);
+                    }
+                }
+                throw error;
             }
+            // Interrupt the code and go back to the normal prompt so the device is usable again
+            await this._stopCode(codeFinished);
+            await this._leaveRawMode();
+            throw new ReplTimeoutError("Code timed out after " + codeTimeoutMs + "ms");
         }
     }
 
@@ -681,20 +1870,23 @@ export class REPL {
         if (DEBUG) {
             console.log("Waiting for mode change from " + modes[this._mode] + " to " + modes[mode]);
         }
-        try {
-            await this._timeout(
-                async () => {
-                    while (this._mode != mode) {
-                        if (keySequence) {
-                            await this.serialTransmit(keySequence);
-                        }
-                        await this._detectCurrentMode();
-                        await this._sleep(250);
-                    }
-                }, 3000
-            );
-        } catch (error) {
-            console.log("Awaiting mode change timed out.");
+        let deadline = Date.now() + MODE_CHANGE_TIMEOUT;
+        while (this._mode != mode) {
+            let remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                throw new ReplTimeoutError("Awaiting mode change to " + modes[mode] + " timed out");
+            }
+            if (keySequence) {
+                await this._serialTransmit(keySequence);
+            }
+            try {
+                // Give the device a chance to respond before sending the key sequence again
+                await this._waitFor(() => this._mode == mode, Math.min(MODE_CHANGE_RETRY_INTERVAL, remaining));
+            } catch (error) {
+                if (!(error instanceof ReplTimeoutError)) {
+                    throw error;
+                }
+            }
         }
     }
 
@@ -718,6 +1910,17 @@ export class REPL {
         await this._waitForModeChange(MODE_NORMAL, CHAR_CTRL_B);
     }
 
+    // Exit raw mode if the device will still respond to it. Code that is still running is left for Ctrl-C to stop
+    async _leaveRawMode() {
+        try {
+            await this._exitRawMode();
+        } catch (error) {
+            if (!(error instanceof ReplTimeoutError)) {
+                throw error;
+            }
+        }
+    }
+
     async _processQueuedTokens() {
         if (this._processing) {
             return;
@@ -733,11 +1936,17 @@ export class REPL {
     async _processToken(token) {
         if (token == CHAR_TITLE_START) {
             this._titleMode = true;
+            this._titleDecoder = new TextDecoder();
             this._setTitle("");
         } else if (token == CHAR_TITLE_END) {
             this._titleMode = false;
+            let rest = this._decode(this._titleDecoder, "", false);
+            if (rest) {
+                this._setTitle(rest, true);
+            }
+            this._emit("title", {title: this.title});
         } else if (this._titleMode) {
-            this._setTitle(token, true);
+            this._setTitle(this._decode(this._titleDecoder, token), true);
 
             // Fix duplicate Title charactes
             let snakeIndex = this.title.indexOf(CHAR_SNAKE);
@@ -747,7 +1956,29 @@ export class REPL {
         }
 
         this._serialInputBuffer.append(token);
-        this._writeToTerminal(token);
+        // Output from code running in raw mode can contain anything, so only the boot output as a whole counts there
+        if (this._pythonCodeRunning) {
+            let position = this._findBootOutput(token);
+            if (position != null) {
+                this._resetDetected(position);
+            }
+        } else {
+            for (let message of RESET_MESSAGES) {
+                let position = this._findMessageEnding(token, message);
+                if (position != null) {
+                    this._resetDetected(position);
+                }
+            }
+        }
+        this._updateMode();
+        this._notifyWaiters();
+        // Output is only left unread while no operation is parsing it
+        this._serialInputBuffer.compact(!this._pythonCodeRunning);
+        let text = this._decode(this._terminalDecoder, token);
+        if (text) {
+            this._writeToTerminal(text);
+        }
+
     }
 
     //// External Functions ////
@@ -762,22 +1993,60 @@ export class REPL {
         this.setTitle(title, append);
     }
 
+    // Called by a transport once it is connected and serialTransmit has been set
+    _connected() {
+        this._emit("connect");
+        this._notifyWaiters();
+    }
+
+    // Wait for a transport to connect, such as one that is reconnecting, and return whether it did
+    async _waitForConnection(timeout=this.promptTimeout) {
+        try {
+            await this._waitFor(() => this.serialTransmit, timeout);
+            return true;
+        } catch (error) {
+            if (!(error instanceof ReplTimeoutError)) {
+                throw error;
+            }
+            return false;
+        }
+    }
+
+    // Called by a transport when the connection to the device has closed
+    _disconnected(error=null) {
+        this.serialTransmit = null;
+        // Anything waiting for the device will never hear back from it
+        for (let waiter of [...this._waiters]) {
+            waiter.done(new TransportError("The device disconnected", error ? {cause: error} : undefined));
+        }
+        this._pythonCodeRunning = false;
+        this._terminalDecoder = new TextDecoder();
+        // The device may be in any state by the time it reconnects
+        this._setMode(null);
+        this._emit("disconnect", {error});
+    }
+
     async _serialTransmit(msg) {
         if (!this.serialTransmit) {
-            console.error("Default serial transmit function called. Message: " + msg);
-            throw new Error("REPL serialTransmit must be connected to an external transmit function");
-        } else {
+            throw new TransportError("REPL serialTransmit must be connected to an external transmit function");
+        }
+        if (DEBUG) {
             console.log("Transmitting: " + msg);
+        }
+        try {
             return await this.serialTransmit(msg);
+        } catch (error) {
+            throw new TransportError("Unable to transmit to the device: " + error.message, {cause: error});
         }
     }
 
     //// Public Functions ////
 
+    // e.data may hold the received bytes as a Uint8Array or ArrayBuffer, or a string that was already decoded
     async onSerialReceive(e) {
         // We tokenize the serial data to handle special character sequences (currently titles only)
-        // We don't want to modify e.data, so we make a copy of it
-        let data = e.data;
+        // Converting e.data to bytes also makes a copy of it, so it isn't modified
+        let data = this._toBinary(e.data);
 
         // Prepend a partial token if it exists
         if (this._partialToken) {
@@ -802,104 +2071,512 @@ export class REPL {
         await this._processQueuedTokens();
     }
 
-    // Allows for supplied python code to be run on the device via the REPL in normal mode
-    async runCode(code, codeTimeoutMs=CODE_EXECUTION_TIMEOUT, showOutput=false) {
+    // Queue an operation to run once the operations ahead of it have finished and return its result
+    _enqueue(operation, priority=PRIORITY_NORMAL) {
+        return new Promise((resolve, reject) => {
+            let entry = {operation, priority, resolve, reject};
+            // Insert after every waiting operation with the same or a higher priority
+            let index = this._operationQueue.findIndex(queued => queued.priority < priority);
+            if (index == -1) {
+                this._operationQueue.push(entry);
+            } else {
+                this._operationQueue.splice(index, 0, entry);
+            }
+            this._runQueuedOperations();
+        });
+    }
+
+    async _runQueuedOperations() {
+        if (this._operationRunning) {
+            return;
+        }
+        this._operationRunning = true;
+        while (this._operationQueue.length) {
+            let {operation, resolve, reject} = this._operationQueue.shift();
+            this._resetPending = false;
+            try {
+                resolve(await operation());
+            } catch (error) {
+                reject(error);
+            }
+            this._resetPending = false;
+        }
+        this._operationRunning = false;
+    }
+
+    async _runCode(code, codeTimeoutMs=CODE_EXECUTION_TIMEOUT, showOutput=false, options={}) {
         this.terminalOutput = DEBUG || showOutput;
 
-        await this.getToPrompt();
-        let result = await this.execRawMode(code + LINE_ENDING_LF, codeTimeoutMs);
-        this.terminalOutput = true;
+        try {
+            await this._getToPrompt();
+            return await this._execRawMode(code + LINE_ENDING_LF, codeTimeoutMs, options);
+        } finally {
+            this.terminalOutput = true;
+        }
+    }
+
+    // Run code and gather everything it produced, so the result can't be replaced by a later operation
+    async _execute(code, codeTimeoutMs=CODE_EXECUTION_TIMEOUT, showOutput=false, options={}) {
+        let stdout = await this._runCode(code, codeTimeoutMs, showOutput, options);
+        return {
+            stdout,
+            stdoutBytes: this.getCodeOutputBytes(),
+            stderr: this._errorOutput,
+            error: this.getErrorOutput(),
+            durationMs: this._codeDuration,
+        };
+    }
+
+    // The value is sent back as JSON when possible, otherwise as its repr, which is parsed if it is made of literals
+    // A ReplError is thrown if the value can't be converted
+    async _eval(expression, setup="", codeTimeoutMs=CODE_EXECUTION_TIMEOUT, options={}) {
+        let code = `${setup}
+__repl_value = (${expression}
+)
+try:
+    import json
+    print("${EVAL_PREFIX_JSON}" + json.dumps(__repl_value))
+except (ImportError, TypeError, ValueError):
+    print("${EVAL_PREFIX_REPR}" + repr(__repl_value))
+del __repl_value
+`;
+        let result = await this._execute(code, codeTimeoutMs, false, options);
+        result.value = undefined;
+        if (!result.error) {
+            let line = result.stdout.trimEnd().split("\n").pop();
+            if (line.startsWith(EVAL_PREFIX_JSON)) {
+                try {
+                    result.value = JSON.parse(line.slice(EVAL_PREFIX_JSON.length));
+                } catch (error) {
+                    // Python writes values like NaN and Infinity that aren't valid JSON
+                    result.value = this._parseLiteral(line.slice(EVAL_PREFIX_JSON.length));
+                }
+            } else if (line.startsWith(EVAL_PREFIX_REPR)) {
+                result.value = this._parseLiteral(line.slice(EVAL_PREFIX_REPR.length));
+            } else {
+                throw new ReplError("The device didn't return a value");
+            }
+        }
         return result;
     }
 
-    async softRestart() {
-        await this.serialTransmit(CHAR_CTRL_D);
+    // Parse the repr of a Python value made of literals, or JSON that includes NaN or Infinity
+    // Throws a ReplError for anything else, such as the repr of an object
+    _parseLiteral(text) {
+        let position = 0;
+        let fail = () => {
+            throw new ReplError("Unable to convert the value returned by the device: " + text);
+        };
+        let skipSpaces = () => {
+            while (position < text.length && " \t\r\n".includes(text[position])) {
+                position++;
+            }
+        };
+        let expect = (char) => {
+            skipSpaces();
+            if (text[position] != char) {
+                fail();
+            }
+            position++;
+        };
+        // Parse values separated by commas until the closing character, allowing a trailing comma
+        let parseItems = (closing, parseItem) => {
+            let items = [];
+            skipSpaces();
+            while (text[position] != closing) {
+                items.push(parseItem());
+                skipSpaces();
+                if (text[position] != closing) {
+                    expect(",");
+                    skipSpaces();
+                }
+            }
+            position++;
+            return items;
+        };
+        let parseString = () => {
+            let quote = text[position++];
+            let value = "";
+            while (text[position] != quote) {
+                if (position >= text.length) {
+                    fail();
+                }
+                let char = text[position++];
+                if (char != "\\") {
+                    value += char;
+                    continue;
+                }
+                let escape = text[position++];
+                let hexLength = {x: 2, u: 4, U: 8}[escape];
+                if (hexLength) {
+                    value += String.fromCodePoint(parseInt(text.slice(position, position + hexLength), 16));
+                    position += hexLength;
+                } else {
+                    value += {n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", 0: "\0"}[escape] ?? escape;
+                }
+            }
+            position++;
+            return value;
+        };
+        let parseValue = () => {
+            skipSpaces();
+            let char = text[position];
+            if (char == "[" || char == "(") {
+                position++;
+                return parseItems(char == "[" ? "]" : ")", parseValue);
+            } else if (char == "{") {
+                position++;
+                return Object.fromEntries(parseItems("}", () => {
+                    let key = parseValue();
+                    expect(":");
+                    return [key, parseValue()];
+                }));
+            } else if (char == "'" || char == "\"") {
+                return parseString();
+            }
+            let match = text.slice(position).match(/^(?:-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?|-?inf|-?Infinity|nan|NaN|None|null|True|true|False|false)\b/);
+            if (!match) {
+                fail();
+            }
+            position += match[0].length;
+            let constants = {None: null, null: null, True: true, true: true, False: false, false: false, nan: NaN, NaN: NaN};
+            if (match[0] in constants) {
+                return constants[match[0]];
+            }
+            return match[0].endsWith("inf") || match[0].endsWith("Infinity") ? (match[0][0] == "-" ? -Infinity : Infinity) : Number(match[0]);
+        };
+
+        let value = parseValue();
+        skipSpaces();
+        if (position < text.length) {
+            fail();
+        }
+        return value;
     }
 
-    async interruptCode() {
-        if (DEBUG) {
-            console.log("Interrupting code");
+    async _softRestart() {
+        this._resetRequested = true;
+        await this._serialTransmit(CHAR_CTRL_D);
+    }
+
+    // The device was seen restarting at position in the input buffer. The mode is unknown until the next prompt arrives.
+    // If we didn't ask for the restart and knew what state the device was in, the operation in progress fails with a DeviceResetError
+    _resetDetected(position) {
+        if (this._resetting) {
+            return;
         }
-        this._pythonCodeRunning = true;
-        // Wait for code to be interrupted
-        try {
-            await this._timeout(
-                async () => {
-                    while (this._pythonCodeRunning) {
-                        await this.serialTransmit(CHAR_CTRL_C);
-                        await this._checkCodeRunning();
-                        await this._sleep(200);
-                    }
-                }, CODE_INTERRUPT_TIMEOUT
-            );
-        } catch (error) {
-            console.log("Awaiting code interruption timed out. Restarting device.");
-            // Can't determine the state, so restart device
-            await this.softRestart();
-            await this.serialTransmit(CHAR_CTRL_C);
-            return false;
+        let requested = this._resetRequested;
+        let interrupted = !requested && this._operationRunning && this._mode != null;
+        this._resetting = true;
+        this._resetRequested = false;
+        this._pythonCodeRunning = false;
+        this._modeScanPosition = this._modeScanFloor = position;
+        this._setMode(null);
+        if (interrupted) {
+            this._resetPending = true;
+            for (let waiter of [...this._waiters]) {
+                waiter.done(new DeviceResetError("The device reset while an operation was in progress"));
+            }
+        }
+        this._emit("reboot", {requested});
+    }
+
+    // Check whether a message ends within the token that was just added to the input buffer and return its position
+    // Only look at enough of the buffer to catch the message once, and not at anything received while code was running.
+    // The message must start a line, so it only counts at the start of the data or after a line break or title
+    _findMessageEnding(token, message) {
+        let end = this._serialInputBuffer.getEnd();
+        let start = Math.max(end - token.length - message.length + 1, this._modeScanFloor);
+        let index = this._serialInputBuffer.slice(start).indexOf(message);
+        if (index == -1) {
+            return null;
+        }
+        let position = start + index;
+        return this._isLineStart(position) ? position : null;
+    }
+
+    // Look for a reset message followed by a title or the pre-prompt, like the device prints when it boots, that is
+    // completed by the token that was just added to the input buffer. Returns the position of the message
+    _findBootOutput(token) {
+        let end = this._serialInputBuffer.getEnd();
+        let start = Math.max(end - token.length - BOOT_OUTPUT_SPAN, this._bootScanFloor, this._serialInputBuffer.getStart());
+        let region = this._serialInputBuffer.slice(start);
+        for (let message of RESET_MESSAGES) {
+            for (let index = region.indexOf(message); index != -1; index = region.indexOf(message, index + 1)) {
+                let following = region.slice(index + message.length, index + message.length + BOOT_OUTPUT_SPAN);
+                if (this._isLineStart(start + index) && (following.includes(CHAR_TITLE_START) || REGEX_PRE_PROMPT.test(following))) {
+                    return start + index;
+                }
+            }
         }
+        return null;
+    }
 
+    // Whether position in the input buffer is at the start of the data or follows a line break or title
+    _isLineStart(position) {
+        let before = this._serialInputBuffer.slice(position - CHAR_TITLE_END.length, position);
+        return position == 0 || before.endsWith("\n") || before == CHAR_TITLE_END;
     }
 
-    async waitForPrompt() {
-        this._pythonCodeRunning = true;
+    // Interrupt any running code and wait for the normal prompt. If the code can't be interrupted, the device is
+    // restarted and a ReplTimeoutError is thrown
+    async _interruptCode(signal=null) {
+        if (DEBUG) {
+            console.log("Interrupting code");
+        }
+        // Ctrl-C leaves the device at the raw prompt in raw mode, which never shows the normal prompt
+        await this._leaveRawMode();
+        let deadline = Date.now() + CODE_INTERRUPT_TIMEOUT;
+        // Wait for code to be interrupted, sending Ctrl-C again if the device doesn't respond
+        while (!(signal && signal.aborted)) {
+            let remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                // Can't determine the state, so restart device
+                await this._softRestart();
+                await this._serialTransmit(CHAR_CTRL_C);
+                throw new ReplTimeoutError("Awaiting code interruption timed out. The device was restarted");
+            }
+            // Only a prompt that arrives after the Ctrl-C counts, earlier ones may be from before a reboot
+            let received = this._serialInputBuffer.getEnd();
+            await this._serialTransmit(CHAR_CTRL_C);
+            if (this._mode == MODE_RAW) {
+                await this._serialTransmit(CHAR_CTRL_B);
+            }
+            try {
+                await this._waitFor(
+                    () => this._serialInputBuffer.getEnd() > received && this._currentLineIsNormalPrompt(),
+                    Math.min(INTERRUPT_RETRY_INTERVAL, remaining), signal
+                );
+                if (DEBUG) {
+                    console.log("REPL at Normal Mode prompt");
+                }
+                return true;
+            } catch (error) {
+                if (!(error instanceof ReplTimeoutError)) {
+                    throw error;
+                }
+            }
+        }
+        throw signal.reason;
+    }
 
+    async _waitForPrompt() {
         // Wait for a prompt
         try {
             await this._timeout(
-                async () => {
-                    while (this._pythonCodeRunning) {
-                        await this.getToPrompt();
-                        await this._sleep(100);
+                async (signal) => {
+                    // Keep trying while the device restarts, until the prompt timeout
+                    while (true) {
+                        try {
+                            return await this._getToPrompt(signal);
+                        } catch (error) {
+                            if (!(error instanceof ReplTimeoutError) || signal.aborted) {
+                                throw error;
+                            }
+                        }
                     }
                 }, this.promptTimeout
             );
         } catch (error) {
-            console.error("Awaiting prompt timed out.");
-            return false;
+            if (!(error instanceof ReplTimeoutError)) {
+                throw error;
+            }
+            throw new ReplTimeoutError("Awaiting prompt timed out");
         }
         return true;
     }
 
-    async getToPrompt() {
+    // Get to the normal prompt from whatever the device is doing. Throws a ReplTimeoutError if the device had to be
+    // restarted
+    async _getToPrompt(signal=null) {
         // Attempt to figure out the current mode and change it if needed
-        while (!this._mode) {
+        while (!this._mode && !(signal && signal.aborted)) {
             await this._detectCurrentMode();
         }
 
+        if (this._mode == MODE_PRE_PROMPT) {
+            // Any key enters the REPL
+            await this._waitForModeChange(MODE_NORMAL, CHAR_CTRL_C);
+        }
+
         // these will exit Raw Paste Mode or Raw mode if needed, otherwise they do nothing
         await this._exitRawMode();
 
         // We use GetToPrompt to ensure we are at a known place before running code
         // This will get from Paste Mode or Running App to Normal Prompt
-        await this.interruptCode();
+        return await this._interruptCode(signal);
     }
 
-    async execRawMode(code) {
+    async _execRawMode(code, codeTimeoutMs=CODE_EXECUTION_TIMEOUT, {onStdout=null, onStderr=null, signal=null}={}) {
+        if (signal) {
+            signal.throwIfAborted();
+        }
         await this._enterRawMode();
-        if (this._readUntil(REGEX_PROMPT_RAW_MODE)) {
-            this._readUntil(">"); // Read until we get to the prompt
+        if (await this._readUntil(REGEX_PROMPT_RAW_MODE)) {
+            await this._readUntil(">"); // Read until we get to the prompt
         }
 
-        await this.serialTransmit(code);
-        // Execute the code
-        await this.serialTransmit(CHAR_CTRL_D);
         this._checkpointCount = 0;
         this._rawByteCount = 0;
-        this._pythonCodeRunning = true;
         this._codeOutput = '';
         this._errorOutput = '';
-        await this._waitForCodeExecution();
+        this._rawCodeOutput = '';
+        this._stdoutDecoder = new TextDecoder();
+        this._stderrDecoder = new TextDecoder();
+        // The device is at the raw prompt, so any restart we asked for has already happened
+        this._resetRequested = false;
+
+        // Output may arrive along with the raw-paste acknowledgement, so it must not be searched for prompts
+        this._pythonCodeRunning = true;
+        this._bootScanFloor = this._serialInputBuffer.getEnd();
+        try {
+            if (await this._enterRawPasteMode()) {
+                // Raw-paste mode doesn't send OK, the output follows the end of data acknowledgement
+                if (!await this._rawPasteWrite(code)) {
+                    throw new TransportError("Could not complete raw paste");
+                }
+                this._checkpointCount = 1;
+            } else {
+                await this._rawWrite(code);
+            }
+        } catch (error) {
+            this._pythonCodeRunning = false;
+            throw error;
+        }
+        this._emit("codestart", {code});
+        this._onStdout = onStdout;
+        this._onStderr = onStderr;
+        let startTime = Date.now();
+        try {
+            await this._waitForCodeExecution(codeTimeoutMs, signal);
+        } finally {
+            this._codeDuration = Date.now() - startTime;
+            this._onStdout = null;
+            this._onStderr = null;
+            this._emit("codeend", {output: this._codeOutput, errorOutput: this._errorOutput});
+        }
+        if (this._errorOutput) {
+            this._emit("stderr", {data: this._errorOutput, error: this._decodeError(this._errorOutput)});
+        }
 
         await this._exitRawMode();
         return this._codeOutput;
     }
 
+    // Allows for supplied python code to be run on the device via the REPL in normal mode
+    // Operations are queued so only one uses the device at a time. They run in the order they were called,
+    // except that operations with a higher priority run before any waiting operations with a lower priority
+    // onStdout and onStderr are called with output as it arrives. Aborting the signal interrupts the code with Ctrl-C
+    async runCode(code, codeTimeoutMs=CODE_EXECUTION_TIMEOUT, showOutput=false, {priority=PRIORITY_NORMAL, onStdout=null, onStderr=null, signal=null}={}) {
+        return await this._enqueue(() => this._runCode(code, codeTimeoutMs, showOutput, {onStdout, onStderr, signal}), priority);
+    }
+
+    // Probe the device with a single script. Returns the os.uname() fields, sys.implementation, the board ID,
+    // free memory, the size and free space of the root filesystem and which modules are available.
+    // Anything the device can't report is null
+    async getDeviceInfo(priority=PRIORITY_NORMAL) {
+        let setup = `
+import os
+import sys
+try:
+    uname = os.uname()
+    uname = {"sysname": uname[0], "nodename": uname[1], "release": uname[2], "version": uname[3], "machine": uname[4]}
+except AttributeError:
+    uname = None
+implementation = {"name": sys.implementation.name, "version": ".".join(str(v) for v in sys.implementation.version[:3])}
+try:
+    import board
+    board_id = board.board_id
+except (ImportError, AttributeError):
+    board_id = None
+try:
+    import gc
+    gc.collect()
+    mem_free = gc.mem_free()
+except (ImportError, AttributeError):
+    mem_free = None
+try:
+    stat = os.statvfs("/")
+    fs_total = stat[1] * stat[2]
+    fs_free = stat[1] * stat[4]
+except (AttributeError, OSError):
+    fs_total = None
+    fs_free = None
+modules = {}
+for module in ${JSON.stringify(PROBE_MODULES)}:
+    try:
+        __import__(module)
+        modules[module] = True
+    except ImportError:
+        modules[module] = False
+`;
+        let expression = `{"uname": uname, "implementation": implementation, "boardId": board_id, "memFree": mem_free, "fsTotal": fs_total, "fsFree": fs_free, "modules": modules}`;
+        return await this.eval(expression, {setup, priority});
+    }
+
+    // Like runCode, but resolves to {stdout, stderr, error, durationMs} where error is the decoded error or null
+    async execute(code, codeTimeoutMs=CODE_EXECUTION_TIMEOUT, {priority=PRIORITY_NORMAL, showOutput=false, onStdout=null, onStderr=null, signal=null}={}) {
+        return await this._enqueue(() => this._execute(code, codeTimeoutMs, showOutput, {onStdout, onStderr, signal}), priority);
+    }
+
+    // Evaluate a Python expression on the device and return its value converted through JSON
+    // Optional setup code runs first. Errors raised on the device are thrown as a PythonException
+    async eval(expression, {setup="", codeTimeoutMs=CODE_EXECUTION_TIMEOUT, priority=PRIORITY_NORMAL, signal=null}={}) {
+        let result = await this._enqueue(() => this._eval(expression, setup, codeTimeoutMs, {signal}), priority);
+        if (result.error) {
+            throw PythonException.fromTraceback(result.error);
+        }
+        return result.value;
+    }
+
+    async softRestart(priority=PRIORITY_HIGH) {
+        await this._enqueue(() => this._softRestart(), priority);
+    }
+
+    // With a high priority, Ctrl-C is also sent straight away rather than through the queue, so code that the running
+    // operation started is stopped instead of being waited for
+    async interruptCode(priority=PRIORITY_HIGH) {
+        if (priority >= PRIORITY_HIGH && this._operationRunning) {
+            await this._serialTransmit(CHAR_CTRL_C);
+        }
+        return await this._enqueue(() => this._interruptCode(), priority);
+    }
+
+    async waitForPrompt(priority=PRIORITY_NORMAL) {
+        return await this._enqueue(() => this._waitForPrompt(), priority);
+    }
+
+    async getToPrompt(priority=PRIORITY_NORMAL) {
+        await this._enqueue(() => this._getToPrompt(), priority);
+    }
+
+    async execRawMode(code, codeTimeoutMs=CODE_EXECUTION_TIMEOUT, priority=PRIORITY_NORMAL, options={}) {
+        return await this._enqueue(() => this._execRawMode(code, codeTimeoutMs, options), priority);
+    }
+
+    // The number of operations that are running or waiting to run
+    get queueDepth() {
+        return this._operationQueue.length + (this._operationRunning ? 1 : 0);
+    }
+
+    // How many received characters are kept behind the read position. Anything older is discarded
+    get scrollback() {
+        return this._serialInputBuffer.scrollback;
+    }
+
+    set scrollback(size) {
+        this._serialInputBuffer.scrollback = size;
+    }
+
     getCodeOutput() {
         return this._codeOutput;
     }
 
+    // The exact bytes the code wrote to stdout, for output that isn't UTF-8 text
+    getCodeOutputBytes() {
+        return this._fromBinary(this._rawCodeOutput);
+    }
+
     getErrorOutput(raw = false) {
         if (raw) {
             return this._errorOutput;
@@ -927,3 +2604,416 @@ export class REPL {
         this._outputLineEnding = lineEnding;
     }
 }
+
+// Base class for transports that connect a REPL to a device
+// Received bytes are passed to the REPL, which decodes them, and a "disconnect" event is dispatched when the connection closes.
+// If the connection was lost unexpectedly, the event's error property holds the cause. If autoReconnect is true, connecting
+// is then retried for up to reconnectTimeout ms, such as while a device that was reset re-enumerates, and a "reconnect"
+// event is dispatched once it succeeds. Failures that no caller can catch are dispatched as an "error" event
+export class Transport extends EventTarget {
+    constructor() {
+        super();
+        this._repl = null;
+        this._encoder = new TextEncoder();
+        this._reconnecting = false;
+        this.autoReconnect = false;
+        this.reconnectTimeout = RECONNECT_TIMEOUT;
+    }
+
+    get connected() {
+        return this._repl != null;
+    }
+
+    // Route the REPL's output through this transport
+    _attach(repl) {
+        this._repl = repl;
+        repl.serialTransmit = async (msg) => {
+            await this.write(msg);
+        };
+        repl._connected();
+    }
+
+    async _receive(bytes) {
+        if (!this._repl) {
+            return;
+        }
+        if (bytes.length) {
+            await this._repl.onSerialReceive({data: bytes});
+        }
+    }
+
+    _detach(error=null) {
+        if (!this._repl) {
+            return;
+        }
+        let repl = this._repl;
+        this._repl = null;
+        repl._disconnected(error);
+
+        let event = new Event("disconnect");
+        event.error = error;
+        this.dispatchEvent(event);
+
+        if (error && this.autoReconnect) {
+            this._reconnect(repl).catch((reconnectError) => {
+                this._reconnecting = false;
+                this._dispatchError(reconnectError);
+            });
+        }
+    }
+
+    // Report an error that happened outside of any call, such as while receiving data, so it isn't left unhandled
+    _dispatchError(error) {
+        if (DEBUG) {
+            console.log("Transport error: " + error.message);
+        }
+        let event = new Event("error");
+        event.error = error;
+        this.dispatchEvent(event);
+    }
+
+    async _reconnect(repl) {
+        this._reconnecting = true;
+        let deadline = Date.now() + this.reconnectTimeout;
+        while (this._reconnecting && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, RECONNECT_INTERVAL));
+            if (!this._reconnecting) {
+                break;
+            }
+            try {
+                await this.connect(repl);
+                this._reconnecting = false;
+                this.dispatchEvent(new Event("reconnect"));
+                return;
+            } catch (error) {
+                if (DEBUG) {
+                    console.log("Unable to reconnect: " + error.message);
+                }
+            }
+        }
+        this._reconnecting = false;
+    }
+
+    //// Abstract Functions ////
+    async connect(repl) {
+        throw new Error("Transports must implement connect");
+    }
+
+    async write(data) {
+        throw new Error("Transports must implement write");
+    }
+
+    async disconnect() {
+        // Disconnecting on purpose also stops any attempt to reconnect
+        this._reconnecting = false;
+        this._detach();
+    }
+}
+
+// Transport for a Web Serial API SerialPort (or any object with the same interface)
+export class WebSerialTransport extends Transport {
+    constructor(port, {baudRate=SERIAL_BAUD_RATE}={}) {
+        super();
+        this._port = port;
+        this._baudRate = baudRate;
+        this._reader = null;
+        this._writer = null;
+        this._readLoopPromise = null;
+        this._closing = false;
+    }
+
+    async connect(repl) {
+        if (this.connected) {
+            throw new TransportError("Transport is already connected");
+        }
+        // The port may have already been opened by the caller
+        if (!this._port.readable) {
+            try {
+                await this._port.open({baudRate: this._baudRate});
+            } catch (error) {
+                throw new TransportError("Unable to open serial port: " + error.message, {cause: error});
+            }
+        }
+
+        this._closing = false;
+        this._writer = this._port.writable.getWriter();
+        this._attach(repl);
+        this._readLoopPromise = this._readLoop().catch((error) => this._dispatchError(error));
+    }
+
+    async _readLoop() {
+        let lastError = null;
+        // Non-fatal errors such as buffer overruns release the stream, so keep reading while the port is readable.
+        // When the device is unplugged, readable becomes null and the loop ends
+        while (this._port.readable && !this._closing) {
+            this._reader = this._port.readable.getReader();
+            try {
+                while (true) {
+                    const {value, done} = await this._reader.read();
+                    if (done) {
+                        break;
+                    }
+                    // The port is still fine if handling the data failed, so keep reading
+                    try {
+                        await this._receive(value);
+                    } catch (error) {
+                        this._dispatchError(error);
+                    }
+                }
+            } catch (error) {
+                lastError = error;
+                if (DEBUG) {
+                    console.log("Serial read error: " + error.message);
+                }
+            } finally {
+                this._reader.releaseLock();
+                this._reader = null;
+            }
+        }
+
+        if (!this._closing) {
+            this._cleanup();
+            this._detach(new TransportError("Serial port closed unexpectedly", {cause: lastError}));
+        }
+    }
+
+    _cleanup() {
+        if (this._writer) {
+            this._writer.releaseLock();
+            this._writer = null;
+        }
+    }
+
+    async write(data) {
+        if (!this._writer) {
+            throw new TransportError("Serial port is not connected");
+        }
+        await this._writer.write(this._encoder.encode(data));
+    }
+
+    async disconnect() {
+        this._reconnecting = false;
+        if (!this.connected) {
+            return;
+        }
+        this._closing = true;
+        if (this._reader) {
+            await this._reader.cancel();
+        }
+        await this._readLoopPromise;
+        this._cleanup();
+        try {
+            await this._port.close();
+        } finally {
+            this._detach();
+        }
+    }
+}
+
+// Transport for the REPL websocket of CircuitPython's web workflow (CircuitPython 8+)
+// host is the device's hostname or IP address, such as the one returned by REPL.getIpAddress().
+// The web workflow uses basic auth with an empty user name and the CIRCUITPY_WEB_API_PASSWORD as the password.
+// Browsers can't set headers on websockets, so the credentials are sent in the URL unless a webSocketClass that
+// accepts options as its third constructor argument (such as the ws package in Node) is supplied
+export class WebSocketTransport extends Transport {
+    constructor(host, {password=null, secure=false, webSocketClass=null}={}) {
+        super();
+        this._host = host;
+        this._password = password;
+        this._secure = secure;
+        this._webSocketClass = webSocketClass;
+        this._socket = null;
+        this._closing = false;
+    }
+
+    _getUrl(includeCredentials) {
+        let credentials = "";
+        if (includeCredentials && this._password != null) {
+            credentials = ":" + encodeURIComponent(this._password) + "@";
+        }
+        return `${this._secure ? "wss" : "ws"}://${credentials}${this._host}${WEB_WORKFLOW_SERIAL_PATH}`;
+    }
+
+    async connect(repl) {
+        if (this.connected) {
+            throw new TransportError("Transport is already connected");
+        }
+
+        let socket;
+        if (this._webSocketClass) {
+            let headers = {};
+            if (this._password != null) {
+                // btoa only accepts Latin-1, so encode the credentials as UTF-8 first
+                let credentials = this._encoder.encode(":" + this._password);
+                headers.Authorization = "Basic " + btoa(String.fromCharCode(...credentials));
+            }
+            socket = new this._webSocketClass(this._getUrl(false), [], {headers});
+        } else {
+            socket = new WebSocket(this._getUrl(true));
+        }
+        socket.binaryType = "arraybuffer";
+        socket.onmessage = (event) => this._onMessage(event).catch((error) => this._dispatchError(error));
+
+        await new Promise((resolve, reject) => {
+            socket.onopen = () => {
+                // Attach right away so messages sent as soon as the socket opens aren't lost
+                this._socket = socket;
+                this._closing = false;
+                this._attach(repl);
+                resolve();
+            };
+            socket.onerror = () => reject(new TransportError("Unable to connect to " + this._getUrl(false)));
+            socket.onclose = (event) => reject(new TransportError(`Connection to ${this._getUrl(false)} closed (${event.code})`));
+        });
+
+        socket.onerror = null;
+        socket.onclose = (event) => {
+            this._socket = null;
+            this._detach(this._closing ? null : new TransportError(`Websocket closed unexpectedly (${event.code})`));
+        };
+    }
+
+    async _onMessage(event) {
+        if (typeof event.data == "string") {
+            // Text frames are already decoded
+            if (this._repl) {
+                await this._repl.onSerialReceive({data: event.data});
+            }
+        } else {
+            await this._receive(new Uint8Array(event.data));
+        }
+    }
+
+    async write(data) {
+        if (!this._socket) {
+            throw new TransportError("Websocket is not connected");
+        }
+        this._socket.send(data);
+    }
+
+    async disconnect() {
+        this._reconnecting = false;
+        if (!this._socket) {
+            return;
+        }
+        this._closing = true;
+        let closed = new Promise(resolve => this._socket.addEventListener("close", resolve));
+        this._socket.close();
+        await closed;
+    }
+}
+
+// Transport for a Web Bluetooth BluetoothDevice using CircuitPython's BLE serial service or the Nordic UART Service
+// Writes are split into chunks of maxWriteSize bytes, which should be the negotiated ATT MTU minus 3 bytes of overhead.
+// Each chunk is written with response by default, so the device can apply backpressure
+export class BLETransport extends Transport {
+    constructor(device, {maxWriteSize=BLE_DEFAULT_WRITE_SIZE, withResponse=true, services=[BLE_SERVICE_CIRCUITPYTHON_SERIAL, BLE_SERVICE_NORDIC_UART]}={}) {
+        super();
+        this._device = device;
+        this._maxWriteSize = maxWriteSize;
+        this._withResponse = withResponse;
+        this._services = services;
+        this._rxCharacteristic = null;
+        this._txCharacteristic = null;
+        this._writeQueue = Promise.resolve();
+        this._closing = false;
+        this._onNotification = (event) => {
+            let value = event.target.value;
+            this._receive(new Uint8Array(value.buffer, value.byteOffset, value.byteLength)).catch((error) => this._dispatchError(error));
+        };
+        this._onDisconnected = () => {
+            this._cleanup();
+            this._detach(this._closing ? null : new TransportError("Bluetooth device disconnected"));
+        };
+    }
+
+    async connect(repl) {
+        if (this.connected) {
+            throw new TransportError("Transport is already connected");
+        }
+
+        let server;
+        try {
+            server = await this._device.gatt.connect();
+        } catch (error) {
+            throw new TransportError("Unable to connect to Bluetooth device: " + error.message, {cause: error});
+        }
+
+        // Use the first supported serial service the device has
+        for (let service of this._services) {
+            try {
+                let primaryService = await server.getPrimaryService(service.uuid);
+                this._rxCharacteristic = await primaryService.getCharacteristic(service.rx);
+                this._txCharacteristic = await primaryService.getCharacteristic(service.tx);
+                break;
+            } catch (error) {
+                if (DEBUG) {
+                    console.log("Serial service " + service.uuid + " not available: " + error.message);
+                }
+            }
+        }
+        if (!this._txCharacteristic) {
+            this._cleanup();
+            server.disconnect();
+            throw new TransportError("Bluetooth device does not have a supported serial service");
+        }
+
+        this._closing = false;
+        this._attach(repl);
+        this._txCharacteristic.addEventListener("characteristicvaluechanged", this._onNotification);
+        this._device.addEventListener("gattserverdisconnected", this._onDisconnected);
+        try {
+            await this._txCharacteristic.startNotifications();
+        } catch (error) {
+            // Don't leave the device connected without a way to receive from it
+            this._closing = true;
+            this._cleanup();
+            this._detach();
+            server.disconnect();
+            throw new TransportError("Unable to receive from Bluetooth device: " + error.message, {cause: error});
+        }
+    }
+
+    _cleanup() {
+        if (this._txCharacteristic) {
+            this._txCharacteristic.removeEventListener("characteristicvaluechanged", this._onNotification);
+        }
+        this._device.removeEventListener("gattserverdisconnected", this._onDisconnected);
+        this._rxCharacteristic = null;
+        this._txCharacteristic = null;
+    }
+
+    async write(data) {
+        let bytes = this._encoder.encode(data);
+        // Queue writes so chunks from concurrent calls don't interleave
+        this._writeQueue = this._writeQueue.catch(() => {}).then(async () => {
+            for (let offset = 0; offset < bytes.length; offset += this._maxWriteSize) {
+                if (!this._rxCharacteristic) {
+                    throw new TransportError("Bluetooth device is not connected");
+                }
+                let chunk = bytes.subarray(offset, offset + this._maxWriteSize);
+                if (this._withResponse) {
+                    await this._rxCharacteristic.writeValueWithResponse(chunk);
+                } else {
+                    await this._rxCharacteristic.writeValueWithoutResponse(chunk);
+                }
+            }
+        });
+        await this._writeQueue;
+    }
+
+    async disconnect() {
+        this._reconnecting = false;
+        if (!this.connected) {
+            return;
+        }
+        this._closing = true;
+        try {
+            await this._writeQueue;
+        } catch (error) {
+            // Writes that failed have already been reported to their callers
+        }
+        // Disconnecting the GATT server fires gattserverdisconnected, which detaches the transport
+        this._device.gatt.disconnect();
+    }
+}
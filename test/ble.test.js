@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { REPL, BLETransport, BLE_SERVICE_CIRCUITPYTHON_SERIAL } from "../repl.js";
+
+// Stand-ins for the Web Bluetooth objects of a device with CircuitPython's serial service
+class FakeCharacteristic extends EventTarget {
+    constructor() {
+        super();
+        this.written = [];
+        this.notificationError = null;
+    }
+
+    async startNotifications() {
+        if (this.notificationError) {
+            throw this.notificationError;
+        }
+    }
+
+    async writeValueWithResponse(chunk) {
+        this.written.push(new TextDecoder().decode(chunk));
+    }
+
+    notify(text) {
+        let bytes = new TextEncoder().encode(text);
+        this.value = new DataView(bytes.buffer);
+        this.dispatchEvent(new Event("characteristicvaluechanged"));
+    }
+}
+
+class FakeDevice extends EventTarget {
+    constructor() {
+        super();
+        this.rx = new FakeCharacteristic();
+        this.tx = new FakeCharacteristic();
+        let characteristics = {[BLE_SERVICE_CIRCUITPYTHON_SERIAL.rx]: this.rx, [BLE_SERVICE_CIRCUITPYTHON_SERIAL.tx]: this.tx};
+        let server = {
+            getPrimaryService: async (uuid) => {
+                if (uuid != BLE_SERVICE_CIRCUITPYTHON_SERIAL.uuid) {
+                    throw new Error("Service not found");
+                }
+                return {getCharacteristic: async (characteristic) => characteristics[characteristic]};
+            },
+            disconnect: () => this.gatt.disconnect(),
+        };
+        this.gatt = {
+            connected: false,
+            connect: async () => {
+                this.gatt.connected = true;
+                return server;
+            },
+            disconnect: () => {
+                if (this.gatt.connected) {
+                    this.gatt.connected = false;
+                    this.dispatchEvent(new Event("gattserverdisconnected"));
+                }
+            },
+        };
+    }
+}
+
+test("passes data in both directions", async () => {
+    let device = new FakeDevice();
+    let repl = new REPL();
+    let transport = new BLETransport(device, {maxWriteSize: 4});
+    let output = [];
+    repl.addEventListener("output", (event) => output.push(event.data));
+    await transport.connect(repl);
+    await repl.serialTransmit("print(1)");
+    assert.deepEqual(device.rx.written, ["prin", "t(1)"]);
+    device.tx.notify("hi");
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(output.join(""), "hi");
+    await transport.disconnect();
+    assert.equal(transport.connected, false);
+    assert.equal(device.gatt.connected, false);
+});
+
+test("reports receive errors as an error event", async () => {
+    let device = new FakeDevice();
+    let repl = new REPL();
+    repl.onSerialReceive = async () => {
+        throw new Error("receive failed");
+    };
+    let transport = new BLETransport(device);
+    let errors = [];
+    transport.addEventListener("error", (event) => errors.push(event.error.message));
+    await transport.connect(repl);
+    device.tx.notify("data");
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepEqual(errors, ["receive failed"]);
+    await transport.disconnect();
+});
+
+test("disconnects if notifications can't be started", async () => {
+    let device = new FakeDevice();
+    device.tx.notificationError = new Error("not permitted");
+    let repl = new REPL();
+    let transport = new BLETransport(device);
+    let disconnects = [];
+    transport.addEventListener("disconnect", (event) => disconnects.push(event.error));
+    await assert.rejects(transport.connect(repl), {name: "TransportError", message: /not permitted/});
+    assert.equal(transport.connected, false);
+    assert.equal(device.gatt.connected, false);
+    assert.equal(repl.serialTransmit, null);
+    assert.deepEqual(disconnects, [null]);
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { main } from "../bin/cpy-repl.js";
+import { MockDevice } from "../mock-device.js";
+
+// Run the command against a MockDevice, collecting what it writes
+async function run(argv, device) {
+    let stdout = [];
+    let stderr = [];
+    let code = await main(argv, {
+        transport: device,
+        stdout: {write: (data) => stdout.push(Buffer.from(data))},
+        stderr: {write: (data) => stderr.push(Buffer.from(data))},
+    });
+    return {code, stdout: Buffer.concat(stdout), stderr: Buffer.concat(stderr).toString()};
+}
+
+test("runs code", async () => {
+    let result = await run(["exec", "print('hello')"], new MockDevice());
+    assert.equal(result.code, 0);
+    assert.equal(result.stdout.toString(), "hello\r\n");
+
+    result = await run(["exec", "raise ValueError('bad')"], new MockDevice());
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /ValueError: bad/);
+});
+
+test("lists, creates and deletes directories", async () => {
+    let device = new MockDevice({files: {"/lib/a.mpy": new Uint8Array(3)}});
+    let result = await run(["ls", "/", "-r"], device);
+    assert.equal(result.code, 0);
+    assert.deepEqual(result.stdout.toString().trim().split("\n").map(line => line.split(" ").pop()), ["lib/", "lib/a.mpy"]);
+
+    assert.equal((await run(["mkdir", "/a/b", "-p"], device)).code, 0);
+    assert.equal(device.filesystem.exists("/a/b"), true);
+    assert.equal((await run(["rm", "/lib", "-r"], device)).code, 0);
+    assert.equal(device.filesystem.exists("/lib"), false);
+});
+
+test("copies files to and from the device", async () => {
+    let directory = await mkdtemp(join(tmpdir(), "cpy-repl-"));
+    try {
+        let data = new Uint8Array(300).map((value, index) => index & 0xFF);
+        await writeFile(join(directory, "data.bin"), data);
+        let device = new MockDevice();
+        assert.equal((await run(["put", join(directory, "data.bin"), "/"], device)).code, 0);
+        assert.deepEqual(device.filesystem.readFile("/data.bin"), data);
+
+        assert.equal((await run(["get", "/data.bin", join(directory, "copy.bin")], device)).code, 0);
+        assert.deepEqual(new Uint8Array(await readFile(join(directory, "copy.bin"))), data);
+        assert.deepEqual(new Uint8Array((await run(["get", "/data.bin"], device)).stdout), data);
+    } finally {
+        await rm(directory, {recursive: true});
+    }
+});
+
+test("reports usage and errors", async () => {
+    let result = await run(["unknown"], new MockDevice());
+    assert.equal(result.code, 2);
+    assert.match(result.stderr, /^Usage:/);
+
+    result = await run(["get", "/missing.txt"], new MockDevice());
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /^DeviceOSError: /);
+});
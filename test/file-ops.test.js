@@ -0,0 +1,245 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { REPL, FileOps, ReplError, SYNC_PULL, NoSpaceError, ReadOnlyFilesystemError, DeviceOSError, TreeOperationError, DeviceResetError } from "../repl.js";
+import { MockDevice } from "../mock-device.js";
+
+async function connect(options={}) {
+    let repl = new REPL();
+    let device = new MockDevice(options);
+    await device.connect(repl);
+    return {repl, device, fileOps: new FileOps(repl)};
+}
+
+function bytes(length) {
+    return new Uint8Array(length).map((value, index) => (index * 13) & 0xFF);
+}
+
+test("reads and writes text files", async () => {
+    let {device, fileOps} = await connect({files: {"/code.py": "print('hello')\n"}});
+    assert.equal(await fileOps.readFile("/code.py"), "print('hello')\n");
+    let text = "héllo \"quoted\"\n".repeat(50);
+    await fileOps.writeFile("/text.txt", new TextEncoder().encode(text), 0, null, false, {chunkSize: 100});
+    assert.equal(new TextDecoder().decode(device.filesystem.readFile("/text.txt")), text);
+    assert.equal(await fileOps.readFile("/text.txt", false, {chunkSize: 7}), text);
+    await device.disconnect();
+});
+
+test("reads and writes binary files with and without binascii", async () => {
+    for (let binascii of [true, false]) {
+        let {device, fileOps} = await connect({modules: {binascii}});
+        let data = bytes(3000);
+        let progress = [];
+        await fileOps.writeFile("/data.bin", data, 0, 1700000000000, true, {chunkSize: 1000, onProgress: (sent) => progress.push(sent)});
+        assert.deepEqual(progress, [1000, 2000, 3000]);
+        assert.deepEqual(device.filesystem.readFile("/data.bin"), data);
+        assert.equal(device.filesystem.stat("/data.bin")[8], 1700000000);
+        let blob = await fileOps.readFile("/data.bin", true, {chunkSize: 512});
+        assert.deepEqual(new Uint8Array(await blob.arrayBuffer()), data);
+        await device.disconnect();
+    }
+});
+
+test("transfers files on a device without json", async () => {
+    let {device, fileOps} = await connect({modules: {json: false, binascii: false}, files: {"/lib/a.mpy": ""}});
+    let data = bytes(100);
+    await fileOps.writeFile("/data.bin", data, 0, null, true);
+    assert.deepEqual(device.filesystem.readFile("/data.bin"), data);
+    let blob = await fileOps.readFile("/data.bin", true);
+    assert.deepEqual(new Uint8Array(await blob.arrayBuffer()), data);
+    assert.deepEqual((await fileOps.listDir("/", true)).map(entry => entry.path).sort(), ["data.bin", "lib", "lib/a.mpy"]);
+    await device.disconnect();
+});
+
+test("reads blocks larger than the scrollback", async () => {
+    let data = bytes(60000);
+    let {device, fileOps} = await connect({files: {"/data.bin": data}});
+    let blob = await fileOps.readFile("/data.bin", true, {chunkSize: 60000});
+    assert.deepEqual(new Uint8Array(await blob.arrayBuffer()), data);
+    await device.disconnect();
+});
+
+test("throws on output that doesn't hold the requested block", async () => {
+    for (let output of ["garbage", "b'" + btoa("ab") + "'", "b'not base64!'"]) {
+        let {device, fileOps} = await connect({files: {"/data.bin": bytes(10)}});
+        device.addScript(/\.seek\(\d+\)[\s\S]*\.read\(\d+\)/, (match, {print}) => print(output));
+        await assert.rejects(fileOps.readFile("/data.bin", true), ReplError);
+        await device.disconnect();
+    }
+});
+
+test("retries reads that a reset interrupts with retryOnReset", async () => {
+    for (let retryOnReset of [false, true]) {
+        let {repl, device} = await connect({files: {"/code.py": "print('hello')\n"}});
+        let fileOps = new FileOps(repl, true, {retryOnReset});
+        // Reset instead of running the first script that is sent
+        let write = device.write.bind(device);
+        device.write = async (data) => {
+            if (data == "\x04") {
+                device.write = write;
+                device.reset();
+                return;
+            }
+            await write(data);
+        };
+        let contents = fileOps.readFile("/code.py");
+        if (retryOnReset) {
+            assert.equal(await contents, "print('hello')\n");
+        } else {
+            await assert.rejects(contents, DeviceResetError);
+        }
+        await device.disconnect();
+    }
+});
+
+test("verifies transfers with checksums", async () => {
+    for (let modules of [{}, {binascii: false}]) {
+        let {device, fileOps} = await connect({modules});
+        let data = bytes(700);
+        let checksum = await fileOps.writeFile("/data.bin", data, 0, null, true, {verify: true});
+        assert.equal(checksum.algorithm, modules.binascii === false ? "sha256" : "crc32");
+        assert.equal(checksum.checksum, await fileOps.computeChecksum(data, checksum.algorithm));
+        assert.deepEqual(await fileOps.getChecksum("/data.bin"), checksum);
+        let blob = await fileOps.readFile("/data.bin", true, {verify: true});
+        assert.deepEqual(new Uint8Array(await blob.arrayBuffer()), data);
+        let result = await fileOps.readFileVerified("/data.bin", true);
+        assert.deepEqual(new Uint8Array(await result.contents.arrayBuffer()), data);
+        assert.equal(result.algorithm, checksum.algorithm);
+        assert.equal(result.checksum, checksum.checksum);
+        assert.deepEqual(await fileOps.writeFile("/data.bin", data, 0, null, true), {algorithm: null, checksum: null});
+        await device.disconnect();
+    }
+});
+
+test("lists directories", async () => {
+    let {device, fileOps} = await connect({files: {"/code.py": "", "/lib/a.mpy": new Uint8Array(3)}});
+    let entries = await fileOps.listDir("/", true);
+    assert.deepEqual(entries.map(entry => [entry.path, entry.isDir, entry.fileSize]).sort(), [
+        ["code.py", false, 0],
+        ["lib", true, 0],
+        ["lib/a.mpy", false, 3],
+    ]);
+    assert.deepEqual((await fileOps.listDir("/lib")).map(entry => entry.path), ["a.mpy"]);
+    // Names that look like the device restarting are only output
+    device.filesystem.writeFile("/soft reboot notes.txt", "");
+    assert.ok((await fileOps.listDir("/")).some(entry => entry.path == "soft reboot notes.txt"));
+    await device.disconnect();
+});
+
+test("creates, copies, moves and deletes files and directories", async () => {
+    let {device, fileOps} = await connect({files: {"/lib/a.mpy": new Uint8Array([1, 2, 3]), "/notes.txt": "notes"}});
+    let fs = device.filesystem;
+    await fileOps.makeDir("/empty");
+    await fileOps.makeDirs("/a/b/c");
+    assert.ok(fs.isDir("/empty") && fs.isDir("/a/b/c"));
+    await fileOps.copy("/lib", "/a/b/c/lib");
+    assert.deepEqual(fs.readFile("/a/b/c/lib/a.mpy"), new Uint8Array([1, 2, 3]));
+    await assert.rejects(fileOps.copy("/a", "/a/b/copy"), (error) => error instanceof ReplError && /into itself/.test(error.message));
+    await fileOps.move("/notes.txt", "/a/notes.txt");
+    assert.ok(!fs.exists("/notes.txt") && fs.exists("/a/notes.txt"));
+    await fileOps.delete("/empty");
+    await assert.rejects(fileOps.delete("/a"), {errno: 39});
+    await fileOps.deleteTree("/a");
+    assert.ok(!fs.exists("/a"));
+    await device.disconnect();
+});
+
+test("handles the root and repeated slashes in paths", async () => {
+    let {device, fileOps} = await connect({files: {"/lib/a.mpy": "a", "/code.py": ""}});
+    let fs = device.filesystem;
+    await assert.rejects(fileOps.copy("/", "/backup"), /into itself/);
+    await fileOps.copy("//lib/", "/lib2");
+    assert.deepEqual(fs.listdir("/lib2"), ["a.mpy"]);
+    await fileOps.deleteTree("/");
+    assert.deepEqual(fs.listdir("/"), []);
+    await device.disconnect();
+});
+
+test("reports each entry that a tree operation couldn't handle", async () => {
+    let {device, fileOps} = await connect({files: {"/a/locked.txt": "", "/a/b/other.txt": "", "/a/c.txt": ""}});
+    let fs = device.filesystem;
+    let remove = fs.remove.bind(fs);
+    fs.remove = (path) => {
+        if (path.endsWith("locked.txt")) {
+            throw Object.assign(new Error("[Errno 13] EACCES"), {type: "OSError", errno: 13});
+        }
+        remove(path);
+    };
+    await assert.rejects(fileOps.deleteTree("/a"), (error) => {
+        assert.ok(error instanceof TreeOperationError);
+        assert.deepEqual(error.errors, [{path: "/a/locked.txt", errno: 13}]);
+        assert.match(error.message, /\/a\/locked\.txt/);
+        return true;
+    });
+    assert.deepEqual(fs.listdir("/a"), ["locked.txt"]);
+
+    fs.readOnly = true;
+    fileOps._doCheckReadOnly = false;
+    await assert.rejects(fileOps.copy("/a", "/copy"), {errors: [{path: "/a", errno: 30}]});
+    await device.disconnect();
+});
+
+test("only sets the modification time of directories that makeDirs creates", async () => {
+    let {device, fileOps} = await connect({files: {"/a/file.txt": ""}});
+    let fs = device.filesystem;
+    fs.utime("/a", 1000);
+    await fileOps.makeDirs("/a/b/c", 1700000000000);
+    assert.equal(fs.stat("/a")[8], 1000);
+    assert.equal(fs.stat("/a/b")[8], 1700000000);
+    assert.equal(fs.stat("/a/b/c")[8], 1700000000);
+    await device.disconnect();
+});
+
+test("throws typed errors", async () => {
+    let {repl, fileOps, device} = await connect({totalBlocks: 8});
+    // Errors are left to the caller rather than written to the terminal
+    let output = [];
+    repl.addEventListener("output", (event) => output.push(event.data));
+    await assert.rejects(fileOps.readFile("/missing.txt"), (error) => error instanceof DeviceOSError && error.errno == 2);
+    assert.deepEqual(output, []);
+    await assert.rejects(fileOps.writeFile("/big.bin", bytes(8192), 0, null, true, {checkSpace: true}), NoSpaceError);
+    assert.equal(device.filesystem.exists("/big.bin"), false);
+    await device.disconnect();
+
+    ({fileOps, device} = await connect({readOnly: true}));
+    await assert.rejects(fileOps.writeFile("/file.txt", bytes(3)), ReadOnlyFilesystemError);
+    await device.disconnect();
+});
+
+test("reports the filesystem size", async () => {
+    let {fileOps, device} = await connect({blockSize: 512, totalBlocks: 100, files: {"/file.bin": bytes(1000)}});
+    assert.deepEqual(await fileOps.getFsInfo("/"), {total: 51200, used: 1024, free: 50176, blockSize: 512});
+    await device.disconnect();
+});
+
+test("syncs a local tree with the device", async () => {
+    let {fileOps, device} = await connect({files: {"/sync/old.txt": "old"}});
+    let localTree = {
+        "code.py": {contents: new TextEncoder().encode("print(1)\n"), modificationTime: 1700000000000},
+        "lib": {isDir: true, modificationTime: null},
+        "lib/a.mpy": {contents: bytes(10), modificationTime: 1700000000000},
+    };
+    let plan = await fileOps.sync(localTree, "/sync", {deleteExtraneous: true});
+    assert.deepEqual(plan, {makeDirs: ["lib"], uploads: ["code.py", "lib/a.mpy"], downloads: [], deletes: ["old.txt"]});
+    assert.deepEqual(device.filesystem.readFile("/sync/lib/a.mpy"), bytes(10));
+    assert.equal(device.filesystem.exists("/sync/old.txt"), false);
+
+    let pulled = {};
+    await fileOps.sync(pulled, "/sync", {direction: SYNC_PULL});
+    assert.deepEqual(Object.keys(pulled).sort(), ["code.py", "lib", "lib/a.mpy"]);
+    assert.deepEqual(pulled["lib/a.mpy"].contents, bytes(10));
+    await device.disconnect();
+});
+
+test("pushes to a directory that doesn't exist yet", async () => {
+    let {fileOps, device} = await connect();
+    let localTree = {"lib/a.mpy": {contents: bytes(10), modificationTime: null}};
+    let plan = await fileOps.sync(localTree, "/new/dir");
+    assert.deepEqual(plan, {makeDirs: ["lib"], uploads: ["lib/a.mpy"], downloads: [], deletes: []});
+    assert.deepEqual(device.filesystem.readFile("/new/dir/lib/a.mpy"), bytes(10));
+    // Files without a modification time are compared by checksum, so they are only uploaded again once they change
+    assert.deepEqual(await fileOps.sync(localTree, "/new/dir", {dryRun: true}), {makeDirs: [], uploads: [], downloads: [], deletes: []});
+    localTree["lib/a.mpy"].contents = bytes(10).reverse();
+    assert.deepEqual((await fileOps.sync(localTree, "/new/dir", {dryRun: true})).uploads, ["lib/a.mpy"]);
+    await assert.rejects(fileOps.sync({}, "/missing", {direction: SYNC_PULL}), {errno: 2});
+    await device.disconnect();
+});
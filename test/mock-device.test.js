@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { REPL } from "../repl.js";
+import { MockDevice } from "../mock-device.js";
+
+async function connect(options={}) {
+    let repl = new REPL();
+    let device = new MockDevice(options);
+    await device.connect(repl);
+    return {repl, device};
+}
+
+test("recognizes scripts by the statements that do their work", async () => {
+    let {repl, device} = await connect({files: {"/file.txt": "abc"}});
+    let result = await repl.execute(`
+# Extra comments, statements and indentation don't matter
+import os
+size = 0
+print(os.stat("/file.txt")[6])
+`);
+    assert.equal(result.error, null);
+    assert.equal(result.stdout, "3\r\n");
+    await device.disconnect();
+});
+
+test("compares modes the way the script does", async () => {
+    let {repl, device} = await connect({files: {"/dir/file.txt": "abc"}});
+    // Modes hold permission bits, so only a masked comparison finds the directory
+    assert.equal(device.filesystem.stat("/dir")[0], 0o40755);
+    assert.equal(device.filesystem.stat("/dir/file.txt")[0], 0o100644);
+    let result = await repl.execute(`
+import os
+stat = os.stat("/dir")
+if stat[0] == 16384:
+    os.rmdir("/dir")
+else:
+    os.remove("/dir")
+`);
+    assert.equal(result.error.type, "OSError");
+    assert.equal(device.filesystem.exists("/dir"), true);
+    await device.disconnect();
+});
+
+test("raises NotImplementedError for code it can't run", async () => {
+    let {repl, device} = await connect();
+    let result = await repl.execute("for i in range(3):\n    print(i)");
+    assert.equal(result.error.type, "NotImplementedError");
+    await assert.rejects(repl.eval("len('abc')"), {type: "NameError"});
+    await device.disconnect();
+});
+
+test("runs scripts added with addScript", async () => {
+    let {repl, device} = await connect();
+    device.addScript(/^blink\((\d+)\)$/m, (match, {print}) => print("blinked", match[1]));
+    assert.equal(await repl.runCode("blink(3)"), "blinked 3\r\n");
+    device.addScript(/^fail\(\)$/m, () => {
+        let error = new Error("broken");
+        error.type = "RuntimeError";
+        throw error;
+    });
+    let result = await repl.execute("fail()");
+    assert.equal(result.error.type, "RuntimeError");
+    assert.equal(result.error.message, "broken");
+    await device.disconnect();
+});
+
+test("fails writes when writeError is set", async () => {
+    let {repl, device} = await connect();
+    await repl.runCode("pass");
+    device.writeError = new Error("write failed");
+    await assert.rejects(repl.runCode("pass"), /write failed/);
+    await device.disconnect();
+});
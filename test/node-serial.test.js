@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { REPL } from "../repl.js";
+import { NodeSerialTransport } from "../node-serial.js";
+
+// A stand-in for the serialport package's SerialPort
+class FakeSerialPort extends EventEmitter {
+    static ports = [];
+
+    constructor(options) {
+        super();
+        this.options = options;
+        this.written = [];
+        FakeSerialPort.ports.push(this);
+    }
+
+    open(callback) {
+        callback(this.options.path == "/dev/missing" ? new Error("No such file or directory") : null);
+    }
+
+    write(data, callback) {
+        this.written.push(new TextDecoder().decode(data));
+        callback(null);
+    }
+
+    drain(callback) {
+        callback();
+    }
+
+    close(callback) {
+        this.emit("close", null);
+        callback();
+    }
+}
+
+async function connect(path="/dev/ttyACM0") {
+    let repl = new REPL();
+    let transport = new NodeSerialTransport(path, {baudRate: 9600, serialPortClass: FakeSerialPort});
+    await transport.connect(repl);
+    return {repl, transport, port: FakeSerialPort.ports.at(-1)};
+}
+
+test("passes data in both directions", async () => {
+    let {repl, transport, port} = await connect();
+    assert.deepEqual(port.options, {path: "/dev/ttyACM0", baudRate: 9600, autoOpen: false});
+    let output = [];
+    repl.addEventListener("output", (event) => output.push(event.data));
+    await repl.serialTransmit("\x03");
+    assert.deepEqual(port.written, ["\x03"]);
+    port.emit("data", Buffer.from(">>> "));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(output.join(""), ">>> ");
+    await transport.disconnect();
+    assert.equal(transport.connected, false);
+});
+
+test("reports receive errors as an error event", async () => {
+    let {repl, transport, port} = await connect();
+    repl.onSerialReceive = async () => {
+        throw new Error("receive failed");
+    };
+    let errors = [];
+    transport.addEventListener("error", (event) => errors.push(event.error.message));
+    port.emit("data", Buffer.from("data"));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(errors, ["receive failed"]);
+    await transport.disconnect();
+});
+
+test("reports ports that can't be opened or close unexpectedly", async () => {
+    await assert.rejects(connect("/dev/missing"), {name: "TransportError", message: /No such file/});
+
+    let {transport, port} = await connect();
+    let disconnected = new Promise(resolve => transport.addEventListener("disconnect", resolve));
+    port.emit("close", new Error("unplugged"));
+    assert.equal((await disconnected).error.name, "TransportError");
+});
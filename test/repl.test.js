@@ -0,0 +1,296 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { REPL, PythonException, DeviceResetError, ReplTimeoutError } from "../repl.js";
+import { MockDevice } from "../mock-device.js";
+
+async function connect(options={}) {
+    let repl = new REPL();
+    let device = new MockDevice(options);
+    await device.connect(repl);
+    return {repl, device};
+}
+
+test("runs code and returns its output", async () => {
+    let {repl, device} = await connect({chunkSize: 3});
+    assert.equal(await repl.runCode("print(\"hi\", 2)\nprint([1, True, None])"), "hi 2\r\n[1, True, None]\r\n");
+    await device.disconnect();
+});
+
+test("dispatches events in order for code that raises an exception", async () => {
+    let repl = new REPL();
+    let device = new MockDevice();
+    let events = [];
+    repl.addEventListener("title", (event) => events.push(["title", event.title]));
+    repl.addEventListener("modechange", (event) => events.push(["modechange", event.previousMode, event.mode]));
+    repl.addEventListener("codestart", (event) => events.push(["codestart", event.code]));
+    // Only the exception line of the traceback is kept
+    repl.addEventListener("codeend", (event) => events.push(["codeend", event.output, event.errorOutput.trim().split("\r\n").pop()]));
+    repl.addEventListener("stderr", (event) => events.push(["stderr", event.error.type, event.error.message]));
+    await device.connect(repl);
+    await repl.runCode("print('before')\nraise ValueError('bad')");
+    await repl.getToPrompt();
+    assert.deepEqual(events, [
+        ["title", "\u{1F40D}Wi-Fi: off | REPL | 9.0.0"],
+        ["modechange", "Unknown", "Normal"],
+        ["modechange", "Normal", "Raw"],
+        ["codestart", "print('before')\nraise ValueError('bad')\n"],
+        ["codeend", "before\r\n", "ValueError: bad"],
+        ["stderr", "ValueError", "bad"],
+        ["modechange", "Raw", "Normal"],
+    ]);
+    await device.disconnect();
+});
+
+test("reads the version and IP address from the title", async () => {
+    let {repl, device} = await connect({version: "9.1.0", ipAddress: "10.0.0.5"});
+    await repl.runCode("pass");
+    assert.equal(repl.getVersion(), "9.1.0");
+    assert.equal(repl.getIpAddress(), "10.0.0.5");
+    await device.disconnect();
+});
+
+test("evaluates expressions", async () => {
+    let {repl, device} = await connect();
+    assert.equal(await repl.eval("1+2"), 3);
+    assert.equal(await repl.eval("'a' * 3"), "aaa");
+    assert.deepEqual(await repl.eval("{\"a\": [1, 2], \"b\": None}"), {a: [1, 2], b: null});
+    await assert.rejects(repl.eval("1/0"), {name: "PythonException", type: "ZeroDivisionError"});
+    await assert.rejects(repl.eval("undefined_name"), {type: "NameError"});
+    await device.disconnect();
+});
+
+test("converts values without json", async () => {
+    let {repl, device} = await connect({modules: {json: false}});
+    assert.equal(await repl.eval("1+2"), 3);
+    assert.equal(await repl.eval("False"), false);
+    assert.deepEqual(await repl.eval("[(1, 'a'), {\"b\": None}]"), [[1, "a"], {b: null}]);
+    device.addScript(/^__repl_value = \(pin/m, (match, {print}) => print("repr:<Pin board.D13>"));
+    await assert.rejects(repl.eval("pin"), {name: "ReplError"});
+    await device.disconnect();
+});
+
+test("returns errors from execute", async () => {
+    let {repl, device} = await connect();
+    let result = await repl.execute("raise ValueError(\"bad\")");
+    assert.equal(result.error.type, "ValueError");
+    assert.equal(result.error.message, "bad");
+    assert.ok(PythonException.fromTraceback(result.error) instanceof PythonException);
+    await device.disconnect();
+});
+
+test("reports device information", async () => {
+    let {repl, device} = await connect({boardId: "test_board", modules: {hashlib: false}});
+    let info = await repl.getDeviceInfo();
+    assert.equal(info.boardId, "test_board");
+    assert.equal(info.modules.hashlib, false);
+    assert.equal(info.modules.binascii, true);
+    await device.disconnect();
+});
+
+test("streams output and stops code with an AbortSignal", async () => {
+    let {repl, device} = await connect();
+    let controller = new AbortController();
+    let output = [];
+    setTimeout(() => controller.abort(), 100);
+    await assert.rejects(repl.runCode("print(\"start\")\ntime.sleep(5)\nprint(\"end\")", 0, false, {
+        signal: controller.signal,
+        onStdout: (data) => output.push(data.trim()),
+    }));
+    assert.deepEqual(output.filter(line => line), ["start"]);
+    assert.equal(await repl.runCode("print(\"after\")"), "after\r\n");
+    await device.disconnect();
+});
+
+test("reports errors from output callbacks without ending the run", async () => {
+    let {repl, device} = await connect();
+    let errors = [];
+    repl.addEventListener("error", (event) => errors.push(event.error.message));
+    let onStdout = () => {
+        throw new Error("callback failed");
+    };
+    assert.equal(await repl.runCode("print('streamed')", 0, false, {onStdout}), "streamed\r\n");
+    assert.deepEqual(errors, ["callback failed"]);
+    assert.equal(await repl.runCode("print(\"after\")"), "after\r\n");
+    await device.disconnect();
+});
+
+test("decodes tracebacks", () => {
+    let repl = new REPL();
+    let error = repl._decodeError([
+        "Traceback (most recent call last):",
+        "  File \"<stdin>\", line 5, in <module>",
+        "  File \"lib/util.py\", line 12, in load",
+        "OSError: [Errno 2] No such file/directory: /missing",
+        "",
+    ].join("\r\n"));
+    assert.deepEqual(error.frames, [
+        {file: "<stdin>", line: 5, function: "<module>"},
+        {file: "lib/util.py", line: 12, function: "load"},
+    ]);
+    assert.equal(error.file, "lib/util.py");
+    assert.equal(error.line, 12);
+    assert.equal(error.function, "load");
+    assert.equal(error.type, "OSError");
+    assert.equal(error.errno, 2);
+    assert.equal(error.message, "No such file/directory: /missing");
+    assert.deepEqual(error.chained, []);
+
+    error = repl._decodeError("Traceback (most recent call last):\r\n  File \"code.py\", line 1\r\nKeyboardInterrupt\r\n");
+    assert.equal(error.type, "KeyboardInterrupt");
+    assert.equal(error.message, "");
+    assert.equal(error.errno, null);
+    assert.deepEqual(error.frames, [{file: "code.py", line: 1, function: null}]);
+
+    error = repl._decodeError("Traceback (most recent call last):\r\nsomething went wrong\r\n");
+    assert.equal(error.type, null);
+    assert.equal(error.message, "something went wrong");
+
+    // Output without frames still gives the exception
+    error = repl._decodeError("ValueError: bad value\r\n");
+    assert.equal(error.type, "ValueError");
+    assert.equal(error.message, "bad value");
+    assert.deepEqual(error.frames, []);
+    assert.equal(error.file, null);
+    assert.equal(error.line, null);
+});
+
+test("decodes chained tracebacks", () => {
+    let error = new REPL()._decodeError([
+        "Traceback (most recent call last):",
+        "  File \"<stdin>\", line 2, in <module>",
+        "ZeroDivisionError: division by zero",
+        "During handling of the above exception, another exception occurred:",
+        "",
+        "Traceback (most recent call last):",
+        "  File \"<stdin>\", line 4, in <module>",
+        "ValueError: can't divide",
+        "",
+    ].join("\r\n"));
+    assert.equal(error.type, "ValueError");
+    assert.equal(error.message, "can't divide");
+    assert.equal(error.line, 4);
+    assert.equal(error.chained.length, 1);
+    assert.equal(error.chained[0].type, "ZeroDivisionError");
+    assert.equal(error.chained[0].message, "division by zero");
+    assert.deepEqual(error.chained[0].frames, [{file: "<stdin>", line: 2, function: "<module>"}]);
+});
+
+test("finds the prompt after the device boots to the pre-prompt", async () => {
+    let {repl, device} = await connect({boot: "pre-prompt", rawPaste: false, delay: 1, chunkSize: 7});
+    assert.equal(await repl.runCode("print(\"ok\")"), "ok\r\n");
+    await device.disconnect();
+});
+
+test("recovers from an unexpected reset", async () => {
+    let {repl, device} = await connect();
+    await repl.runCode("pass");
+    let reboots = [];
+    repl.addEventListener("reboot", (event) => reboots.push(event.requested));
+    device.reset();
+    await device.flush();
+    assert.equal(await repl.runCode("print(\"after reset\")"), "after reset\r\n");
+    await repl.softRestart();
+    await device.flush();
+    assert.deepEqual(reboots, [false, true]);
+    await device.disconnect();
+});
+
+test("fails an operation that is interrupted by a reset", async () => {
+    let {repl, device} = await connect();
+    await repl.runCode("pass");
+    // Reset instead of answering the Ctrl-C that gets the device to the prompt
+    let write = device.write.bind(device);
+    device.write = async (data) => {
+        if (data == "\x03") {
+            device.write = write;
+            device.reset();
+            return;
+        }
+        await write(data);
+    };
+    await assert.rejects(repl.runCode("print(1)"), DeviceResetError);
+    assert.equal(await repl.runCode("print(\"after reset\")"), "after reset\r\n");
+    await device.disconnect();
+});
+
+test("fails code that is running when the device resets", {timeout: 5000}, async () => {
+    let {repl, device} = await connect();
+    for (let timeout of [0, undefined]) {
+        let running = repl.runCode("time.sleep(100)", timeout);
+        await repl._sleep(50);
+        device.reset();
+        await assert.rejects(running, DeviceResetError);
+    }
+    assert.equal(await repl.runCode("print(\"after reset\")"), "after reset\r\n");
+    await device.disconnect();
+});
+
+test("doesn't mistake output for a reset", async () => {
+    let {repl, device} = await connect({chunkSize: 4});
+    let reboots = 0;
+    repl.addEventListener("reboot", () => reboots++);
+    assert.equal(await repl.runCode("print('soft reboot')"), "soft reboot\r\n");
+    assert.equal(await repl.runCode("print('Auto-reload is off.')"), "Auto-reload is off.\r\n");
+    assert.equal(await repl.eval("'x\\r\\nsoft reboot\\r\\n'"), "x\r\nsoft reboot\r\n");
+    assert.equal(reboots, 0);
+    await device.disconnect();
+});
+
+test("keeps only the scrollback of received data", async () => {
+    let {repl, device} = await connect({chunkSize: 500});
+    repl.scrollback = 1000;
+    assert.equal((await repl.runCode("print('x' * 5000)")).length, 5002);
+    // Output that nothing reads is discarded too
+    device.injectOutput("y".repeat(10000));
+    await device.flush();
+    assert.ok(repl._serialInputBuffer.get().length <= 3 * repl.scrollback);
+    assert.equal(await repl.runCode("print(1)"), "1\r\n");
+    await device.disconnect();
+});
+
+test("keeps output that arrives in a chunk larger than the scrollback", async () => {
+    let {repl, device} = await connect();
+    assert.equal(await repl.runCode("print('x' * 100000)"), "x".repeat(100000) + "\r\n");
+    await device.disconnect();
+});
+
+test("interrupts code that the running operation started", {timeout: 5000}, async () => {
+    let {repl, device} = await connect();
+    let running = repl.execute("time.sleep(1000)", 0);
+    await repl._sleep(50);
+    assert.equal(repl.queueDepth, 1);
+    assert.equal(await repl.interruptCode(), true);
+    assert.equal((await running).error.type, "KeyboardInterrupt");
+    assert.equal(repl.queueDepth, 0);
+    await device.disconnect();
+});
+
+test("leaves raw mode when code times out", {timeout: 5000}, async () => {
+    let {repl, device} = await connect();
+    let reboots = 0;
+    repl.addEventListener("reboot", () => reboots++);
+    await assert.rejects(repl.runCode("time.sleep(100)", 200), ReplTimeoutError);
+    assert.equal(await repl.interruptCode(), true);
+    assert.equal(reboots, 0);
+    assert.equal(await repl.runCode("print(1)"), "1\r\n");
+    await device.disconnect();
+});
+
+test("restarts the device when code can't be interrupted", {timeout: 15000}, async () => {
+    let {repl, device} = await connect();
+    await repl.runCode("pass");
+    let reboots = [];
+    repl.addEventListener("reboot", (event) => reboots.push(event.requested));
+    // Ignore Ctrl-C, as if the code didn't respond to it
+    let write = device.write.bind(device);
+    device.write = async (data) => {
+        if (data != "\x03") {
+            await write(data);
+        }
+    };
+    await assert.rejects(repl.interruptCode(), ReplTimeoutError);
+    device.write = write;
+    assert.equal(await repl.runCode("print(\"after restart\")"), "after restart\r\n");
+    assert.deepEqual(reboots, [true]);
+    await device.disconnect();
+});
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { REPL, Transport, TransportError } from "../repl.js";
+
+class FailingTransport extends Transport {
+    async connect(repl) {
+        this._attach(repl);
+    }
+
+    async write(data) {}
+
+    async _reconnect(repl) {
+        throw new Error("reconnect failed");
+    }
+}
+
+test("reports a failed reconnect as an error event", async () => {
+    let transport = new FailingTransport();
+    transport.autoReconnect = true;
+    await transport.connect(new REPL());
+    let errors = [];
+    transport.addEventListener("error", (event) => errors.push(event.error.message));
+    transport._detach(new TransportError("lost"));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(errors, ["reconnect failed"]);
+});
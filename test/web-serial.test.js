@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { REPL, WebSerialTransport } from "../repl.js";
+
+// A stand-in for a Web Serial SerialPort whose received data is pushed with receive()
+class FakePort {
+    constructor() {
+        this.readable = null;
+        this.writable = null;
+        this.written = [];
+    }
+
+    async open() {
+        this.readable = new ReadableStream({start: (controller) => this._controller = controller});
+        this.writable = new WritableStream({write: (chunk) => this.written.push(new TextDecoder().decode(chunk))});
+    }
+
+    async close() {
+        this.readable = null;
+        this.writable = null;
+    }
+
+    receive(text) {
+        this._controller.enqueue(new TextEncoder().encode(text));
+    }
+}
+
+test("passes data in both directions", async () => {
+    let port = new FakePort();
+    let repl = new REPL();
+    let transport = new WebSerialTransport(port);
+    let output = [];
+    repl.addEventListener("output", (event) => output.push(event.data));
+    await transport.connect(repl);
+    await repl.serialTransmit("\x03");
+    port.receive(">>> ");
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepEqual(port.written, ["\x03"]);
+    assert.equal(output.join(""), ">>> ");
+    await transport.disconnect();
+    assert.equal(transport.connected, false);
+});
+
+test("reports receive errors as an error event and keeps reading", async () => {
+    let port = new FakePort();
+    let repl = new REPL();
+    let received = 0;
+    repl.onSerialReceive = async () => {
+        received++;
+        throw new Error("receive failed");
+    };
+    let transport = new WebSerialTransport(port);
+    let errors = [];
+    transport.addEventListener("error", (event) => errors.push(event.error.message));
+    await transport.connect(repl);
+    port.receive("a");
+    await new Promise(resolve => setTimeout(resolve, 10));
+    port.receive("b");
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(received, 2);
+    assert.deepEqual(errors, ["receive failed", "receive failed"]);
+    assert.equal(transport.connected, true);
+    await transport.disconnect();
+});
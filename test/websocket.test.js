@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { WebSocket, WebSocketServer } from "ws";
+import { REPL, WebSocketTransport } from "../repl.js";
+
+// A stand-in for the web workflow's serial websocket that records what it receives
+async function startServer() {
+    let server = new WebSocketServer({port: 0, path: "/cp/serial/"});
+    await new Promise(resolve => server.on("listening", resolve));
+    server.received = [];
+    server.sockets = [];
+    server.on("connection", (socket, request) => {
+        server.authorization = request.headers.authorization;
+        server.sockets.push(socket);
+        socket.on("message", (data) => server.received.push(data.toString()));
+    });
+    server.host = "127.0.0.1:" + server.address().port;
+    return server;
+}
+
+function stopServer(server) {
+    return new Promise(resolve => server.close(resolve));
+}
+
+test("sends UTF-8 credentials", async () => {
+    let server = await startServer();
+    let transport = new WebSocketTransport(server.host, {password: "pässwört🐍", webSocketClass: WebSocket});
+    await transport.connect(new REPL());
+    let [scheme, encoded] = server.authorization.split(" ");
+    assert.equal(scheme, "Basic");
+    assert.equal(Buffer.from(encoded, "base64").toString("utf8"), ":pässwört🐍");
+    await transport.disconnect();
+    await stopServer(server);
+});
+
+test("passes data in both directions", async () => {
+    let server = await startServer();
+    let repl = new REPL();
+    let transport = new WebSocketTransport(server.host, {webSocketClass: WebSocket});
+    let output = [];
+    repl.addEventListener("output", (event) => output.push(event.data));
+    await transport.connect(repl);
+    await repl.serialTransmit("\x03");
+    // A character split between binary frames, followed by a text frame
+    let bytes = Buffer.from("héllo");
+    server.sockets[0].send(bytes.subarray(0, 2));
+    server.sockets[0].send(bytes.subarray(2));
+    server.sockets[0].send(" text", {binary: false});
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(output.join(""), "héllo text");
+    assert.deepEqual(server.received, ["\x03"]);
+    await transport.disconnect();
+    await stopServer(server);
+});
+
+test("reports receive errors as an error event", async () => {
+    let server = await startServer();
+    let repl = new REPL();
+    repl.onSerialReceive = async () => {
+        throw new Error("receive failed");
+    };
+    let transport = new WebSocketTransport(server.host, {webSocketClass: WebSocket});
+    let errors = [];
+    transport.addEventListener("error", (event) => errors.push(event.error.message));
+    await transport.connect(repl);
+    server.sockets[0].send(Buffer.from("data"));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.deepEqual(errors, ["receive failed"]);
+    await transport.disconnect();
+    await stopServer(server);
+});
+
+test("reports an unexpected close", async () => {
+    let server = await startServer();
+    let repl = new REPL();
+    let transport = new WebSocketTransport(server.host, {webSocketClass: WebSocket});
+    await transport.connect(repl);
+    let disconnected = new Promise(resolve => transport.addEventListener("disconnect", resolve));
+    server.sockets[0].terminate();
+    let event = await disconnected;
+    assert.equal(event.error.name, "TransportError");
+    assert.equal(transport.connected, false);
+    await stopServer(server);
+});